@@ -6,6 +6,17 @@ const expressLayouts = require("express-ejs-layouts");
 
 dotenv.config();
 
+// Persistent session store (SQLite)
+const sessionStore = require("./services/session-store");
+
+// CSRF protection for forms and fetch calls
+const { createCsrfProtection } = require("./middleware/csrf");
+const { hasValidAdminToken } = require("./middleware/admin-auth");
+const { hasValidCronToken } = require("./middleware/cron-auth");
+
+// In-process cron for the background jobs (SCHEDULE_* env vars)
+const { startJobScheduler } = require("./services/job-scheduler");
+
 // Rate limiting middleware
 const { authLimiter, userActionLimiter, dataRetrievalLimiter, strictLimiter } = require('./middleware/rate-limiting');
 
@@ -28,12 +39,13 @@ if (process.env.NODE_ENV === "production") {
 app.use(
   session({
     secret: process.env.SESSION_SECRET || "supersecretkey",
+    store: sessionStore,
     resave: false,
     saveUninitialized: false,
     cookie: {
       secure: false, // Set to false for Cloudflare Flexible SSL
       httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours (30 days with "remember me", see routes/auth.js)
       sameSite: "lax",
     },
   })
@@ -59,24 +71,43 @@ app.use((req, res, next) => {
       email: req.session.userEmail || null,
       id: req.session.userId,
     };
+    res.locals.isAdmin = req.session.isAdmin === true;
   } else {
     res.locals.user = null;
+    res.locals.isAdmin = false;
   }
 
+  // Only false once login has loaded the flag; older sessions don't nag
+  res.locals.emailUnverified = req.session.userVerified === false;
+
   res.locals.page = "";
   next();
 });
 
+// Reject state-changing requests without the session's CSRF token
+// (scripts using the admin or cron bearer header don't rely on cookies, and
+// unsubscribe links carry their own signed token, so skip them)
+app.use(createCsrfProtection({
+  skip: (req) =>
+    hasValidAdminToken(req) ||
+    hasValidCronToken(req) ||
+    req.path.startsWith("/unsubscribe/"),
+}));
+
 // Routes
 const indexRoutes = require("./routes/index");
 const searchResultsRouter = require("./routes/search-results");
 const upcomingRouter = require("./routes/upcoming");
 const authRoutes = require("./routes/auth");
+const accountRoutes = require("./routes/account");
+const settingsRoutes = require("./routes/settings");
+const unsubscribeRoutes = require("./routes/unsubscribe");
 const myMoviesRouter = require("./routes/my-movies");
-const checkReleases = require("./routes/check-releases");
 const movieDetailsRoutes = require("./routes/movie-details");
 const topReleasesRouter = require("./routes/top-releases");
-const checkStreamingDatesRouter = require("./routes/check-streaming-dates");
+const jobsRouter = require("./routes/jobs");
+const calendarRouter = require("./routes/calendar");
+const feedsRouter = require("./routes/feeds");
 
 // ADD: Centralized API routes
 const apiRoutes = require("./routes/api");
@@ -92,11 +123,15 @@ app.use("/", dataRetrievalLimiter, indexRoutes);
 app.use("/", dataRetrievalLimiter, searchResultsRouter);
 app.use("/", dataRetrievalLimiter, upcomingRouter);
 app.use("/auth", authLimiter, authRoutes);
+app.use("/account", userActionLimiter, accountRoutes);
+app.use("/settings", userActionLimiter, settingsRoutes);
+app.use("/unsubscribe", userActionLimiter, unsubscribeRoutes);
+app.use("/calendar", dataRetrievalLimiter, calendarRouter);
 app.use("/my-movies", dataRetrievalLimiter, myMoviesRouter);
-app.use("/jobs/check-releases", checkReleases); // No rate limiting for cron jobs
 app.use("/movie", dataRetrievalLimiter, movieDetailsRoutes);
 app.use("/", dataRetrievalLimiter, topReleasesRouter);
-app.use("/jobs/check-streaming-dates", checkStreamingDatesRouter); // No rate limiting for cron jobs
+app.use("/", dataRetrievalLimiter, feedsRouter);
+app.use("/jobs", jobsRouter); // No rate limiting for cron jobs
 
 // Mount API routes (rate limiting applied at route level)
 app.use("/", apiRoutes);
@@ -116,4 +151,5 @@ app.use((req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  startJobScheduler();
 });
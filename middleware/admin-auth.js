@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { getUserByRecordId } = require('../services/airtable');
+const { getCachedData, setCachedData } = require('../services/cache');
+
+// How long an IsAdmin flag read from the store is trusted
+const ADMIN_FLAG_TTL_SECONDS = 60;
+
+// "Authorization: Bearer <secret>", compared in constant time
+const hasBearerToken = (req, secret) => {
+  const header = req.get('authorization') || '';
+  if (!secret || !header.startsWith('Bearer ')) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(header.slice('Bearer '.length).trim());
+  return expected.length === actual.length &&
+         crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Legacy script access: "Authorization: Bearer <ADMIN_SECRET>"
+ * Browsers use the logged-in session instead (IsAdmin on the user record)
+ */
+const hasValidAdminToken = (req) => hasBearerToken(req, process.env.ADMIN_SECRET);
+
+/**
+ * Whether the session's user is an admin right now
+ * The flag copied at login is only a hint: IsAdmin is re-read from the user
+ * record (cached for a minute), so removing it takes effect on open sessions
+ */
+const isAdminSession = async (req) => {
+  const recordId = req.session?.airtableRecordId;
+  if (req.session?.isAdmin !== true || !recordId) return false;
+
+  const cacheKey = `adminFlag_${recordId}`;
+  let isAdmin = getCachedData(cacheKey);
+  if (isAdmin === undefined) {
+    const user = await getUserByRecordId(recordId);
+    isAdmin = user?.fields.IsAdmin === true;
+    setCachedData(cacheKey, isAdmin, ADMIN_FLAG_TTL_SECONDS);
+  }
+
+  if (!isAdmin) req.session.isAdmin = false;
+  return isAdmin;
+};
+
+const isAdminRequest = async (req) => hasValidAdminToken(req) || await isAdminSession(req);
+
+// For JSON endpoints
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+  } catch (error) {
+    console.error('[ADMIN] Could not check admin access:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Could not check admin access, try again shortly'
+    });
+  }
+  next();
+};
+
+// For admin pages: logged-out visitors are sent to log in first
+const requireAdminPage = async (req, res, next) => {
+  try {
+    if (await isAdminRequest(req)) return next();
+  } catch (error) {
+    console.error('[ADMIN] Could not check admin access:', error.message);
+    return res.status(503).render('error', {
+      title: 'Try Again Shortly',
+      message: 'Could not check admin access',
+      statusCode: 503
+    });
+  }
+
+  if (!req.session?.userId) {
+    return res.redirect(`/auth/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  return res.status(403).render('error', {
+    title: 'Access Denied',
+    message: 'Admin access required',
+    statusCode: 403
+  });
+};
+
+module.exports = {
+  hasBearerToken,
+  hasValidAdminToken,
+  requireAdmin,
+  requireAdminPage
+};
@@ -0,0 +1,19 @@
+const { hasBearerToken } = require('./admin-auth');
+
+/**
+ * Job triggers (routes/jobs.js): "Authorization: Bearer <CRON_SECRET>"
+ * A header rather than ?key=, so the secret stays out of access logs
+ */
+const hasValidCronToken = (req) => hasBearerToken(req, process.env.CRON_SECRET);
+
+const requireCronSecret = (req, res, next) => {
+  if (!hasValidCronToken(req)) {
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+};
+
+module.exports = {
+  hasValidCronToken,
+  requireCronSecret
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Methods that never change state and are not checked
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the session's CSRF token, creating it on first use
+ * Created lazily so anonymous visitors only get a session on pages with a form
+ */
+const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+const tokensMatch = (expected, actual) => {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length === actualBuffer.length &&
+         crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+const rejectRequest = (req, res) => {
+  console.warn(`[CSRF] Rejected ${req.method} ${req.originalUrl} from ${req.session?.userId ? `user ${req.session.userId}` : `IP ${req.ip}`}`);
+
+  const wantsJson = req.is('application/json') ||
+                    req.accepts(['html', 'json']) === 'json';
+
+  if (wantsJson) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token. Please refresh the page and try again.'
+    });
+  }
+
+  return res.status(403).render('error', {
+    title: 'Request Blocked',
+    message: 'Your form has expired. Please go back, refresh the page and try again.',
+    statusCode: 403
+  });
+};
+
+/**
+ * CSRF protection for every state-changing request
+ * Forms send the token as a "_csrf" field, fetch calls as an "X-CSRF-Token" header.
+ * Views read it with csrfToken() (res.locals)
+ * @param {Object} options - { skip(req): return true to exempt a request }
+ */
+const createCsrfProtection = (options = {}) => {
+  return (req, res, next) => {
+    res.locals.csrfToken = () => getCsrfToken(req);
+
+    if (SAFE_METHODS.includes(req.method) || options.skip?.(req)) {
+      return next();
+    }
+
+    const submitted = req.get('x-csrf-token') || req.body?._csrf;
+    if (!tokensMatch(req.session?.csrfToken, submitted)) {
+      return rejectRequest(req, res);
+    }
+
+    next();
+  };
+};
+
+const csrfProtection = createCsrfProtection();
+
+module.exports = {
+  createCsrfProtection,
+  csrfProtection,
+  getCsrfToken
+};
@@ -71,6 +71,14 @@ const authLimiter = createRateLimiter({
   skipSuccessfulRequests: true
 });
 
+// Counts every request that sends an email (password resets always "succeed"
+// so unknown emails stay hidden, which authLimiter would skip)
+const emailRequestLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many email requests. Please try again in an hour.'
+});
+
 const userActionLimiter = createRateLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: (req) => req.session?.userId ? 100 : 20,
@@ -98,6 +106,7 @@ const strictLimiter = createRateLimiter({
 
 module.exports = {
   authLimiter,
+  emailRequestLimiter,
   userActionLimiter, 
   dataRetrievalLimiter,
   strictLimiter
@@ -18,6 +18,10 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // CSRF token rendered into the page by the layout
+  const csrfToken =
+    document.querySelector('meta[name="csrf-token"]')?.content || "";
+
   // Enhanced API call with timeout and retry
   async function makeApiCall(url, data) {
     const controller = new AbortController();
@@ -26,7 +30,10 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       const response = await fetch(url, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+        },
         body: JSON.stringify(data),
         signal: controller.signal,
       });
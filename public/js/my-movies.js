@@ -125,6 +125,13 @@ class MyMoviesManager {
     await this.performUnfollow(btn, card, movieId, followType);
   }
 
+  /**
+   * CSRF token rendered into the page by the layout
+   */
+  getCsrfToken() {
+    return document.querySelector('meta[name="csrf-token"]')?.content || "";
+  }
+
   /**
    * Perform the unfollow API call and update UI
    */
@@ -139,6 +146,7 @@ class MyMoviesManager {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "X-CSRF-Token": this.getCsrfToken(),
         },
         body: JSON.stringify({
           movieId: movieId,
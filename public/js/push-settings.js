@@ -0,0 +1,125 @@
+/**
+ * Settings Page Push Notifications
+ * Registers the service worker and turns browser notifications on or off
+ * for this device
+ */
+
+document.addEventListener("DOMContentLoaded", () => {
+  const section = document.getElementById("push-settings");
+  if (!section) return;
+
+  const status = document.getElementById("push-status");
+  const toggle = document.getElementById("push-toggle");
+  const csrfToken =
+    document.querySelector('meta[name="csrf-token"]')?.content || "";
+  let deviceCount = Number(section.dataset.deviceCount) || 0;
+  let registration = null;
+
+  // VAPID keys are base64url; PushManager wants the raw bytes
+  function urlBase64ToUint8Array(base64String) {
+    const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  }
+
+  async function postJson(url, data) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": csrfToken,
+      },
+      body: JSON.stringify(data),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || response.statusText);
+    }
+    return result;
+  }
+
+  function otherDevicesText(subscribedHere) {
+    const others = deviceCount - (subscribedHere ? 1 : 0);
+    if (others <= 0) return "";
+    return ` Also on ${others} other ${others === 1 ? "device" : "devices"}.`;
+  }
+
+  function render(subscription) {
+    toggle.hidden = false;
+    toggle.disabled = false;
+
+    if (Notification.permission === "denied") {
+      status.textContent = "Notifications are blocked for this site. Allow them in your browser settings to turn them on.";
+      toggle.hidden = true;
+    } else if (subscription) {
+      status.textContent = `Notifications are on for this device.${otherDevicesText(true)}`;
+      toggle.textContent = "Turn Off for This Device";
+    } else {
+      status.textContent = `Notifications are off for this device.${otherDevicesText(false)}`;
+      toggle.textContent = "Turn On for This Device";
+    }
+  }
+
+  async function turnOn() {
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      render(null);
+      return;
+    }
+
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(section.dataset.vapidPublicKey),
+    });
+
+    try {
+      const result = await postJson("/settings/push/subscribe", subscription.toJSON());
+      deviceCount = result.deviceCount;
+    } catch (error) {
+      await subscription.unsubscribe(); // Don't leave a subscription we can't deliver to
+      throw error;
+    }
+    render(subscription);
+  }
+
+  async function turnOff(subscription) {
+    const result = await postJson("/settings/push/unsubscribe", {
+      endpoint: subscription.endpoint,
+    });
+    deviceCount = result.deviceCount;
+    await subscription.unsubscribe();
+    render(null);
+  }
+
+  toggle.addEventListener("click", async () => {
+    toggle.disabled = true;
+    try {
+      const subscription = await registration.pushManager.getSubscription();
+      if (subscription) {
+        await turnOff(subscription);
+      } else {
+        await turnOn();
+      }
+    } catch (error) {
+      console.error("Push notification toggle failed:", error);
+      status.textContent = `Something went wrong: ${error.message}`;
+      toggle.disabled = false;
+    }
+  });
+
+  if (!("serviceWorker" in navigator) || !("PushManager" in window) || !("Notification" in window)) {
+    status.textContent = "This browser doesn't support push notifications.";
+    return;
+  }
+
+  navigator.serviceWorker
+    .register("/sw.js")
+    .then(async (reg) => {
+      registration = reg;
+      render(await registration.pushManager.getSubscription());
+    })
+    .catch((error) => {
+      console.error("Service worker registration failed:", error);
+      status.textContent = "Push notifications couldn't be set up in this browser.";
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Service Worker
+ * Shows release push notifications (sent by services/push-notifications.js)
+ * and opens the movie's page when one is clicked
+ */
+
+const DEFAULT_ICON = "/images/android-chrome-192x192.png";
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Movie Release Tracker", {
+      body: data.body || "",
+      icon: data.icon || DEFAULT_ICON,
+      image: data.image || undefined,
+      badge: "/images/favicon-32x32.png",
+      tag: data.tag,
+      data: { url: data.url || "/my-movies" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+
+  // Reuse a tab that already shows the page, otherwise open one
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windowClients) => {
+      const existing = windowClients.find((client) => client.url === url);
+      return existing ? existing.focus() : self.clients.openWindow(url);
+    })
+  );
+});
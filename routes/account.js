@@ -0,0 +1,199 @@
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcrypt");
+const {
+  getUsersByEmail,
+  getUserByRecordId,
+  updateUser,
+  deleteAccount,
+} = require("../services/airtable");
+const { sendVerificationEmail, isEmailVerified } = require("../services/verification-email");
+const sessionStore = require("../services/session-store");
+
+// Every account page needs a logged-in user whose record still exists
+router.use(async (req, res, next) => {
+  if (!req.session.userId) {
+    return res.redirect("/auth/login?redirect=/account");
+  }
+
+  try {
+    const user = await getUserByRecordId(req.session.airtableRecordId);
+    if (!user) {
+      return req.session.destroy(() => res.redirect("/auth/login"));
+    }
+
+    req.accountUser = user;
+    res.locals.page = "account";
+    next();
+  } catch (error) {
+    console.error("Error loading account:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      message: "Unable to load your account right now.",
+      statusCode: 500,
+    });
+  }
+});
+
+function renderAccount(req, res, { error = null, notice = null } = {}) {
+  res.render("account", {
+    title: "Account",
+    account: {
+      name: req.accountUser.fields.Name || "",
+      email: req.accountUser.fields.Email,
+      verified: isEmailVerified(req.accountUser),
+    },
+    error,
+    notice,
+  });
+}
+
+async function checkPassword(user, password) {
+  if (!password) return false;
+  return bcrypt.compare(password, user.fields.PasswordHash);
+}
+
+// Account page
+router.get("/", (req, res) => {
+  renderAccount(req, res);
+});
+
+// Change display name
+router.post("/name", async (req, res) => {
+  const name = (req.body.name || "").trim();
+
+  try {
+    req.accountUser = await updateUser(req.accountUser.id, { Name: name });
+    req.session.userName = name;
+    res.locals.user.name = name;
+
+    renderAccount(req, res, { notice: "Your name has been updated." });
+  } catch (error) {
+    console.error(error);
+    renderAccount(req, res, { error: "Error updating name" });
+  }
+});
+
+// Change email - the new address has to be verified again
+router.post("/email", async (req, res) => {
+  const email = (req.body.email || "").trim().toLowerCase();
+  const user = req.accountUser;
+
+  if (!email) {
+    return renderAccount(req, res, { error: "Email required" });
+  }
+
+  if (email === user.fields.Email) {
+    return renderAccount(req, res, { error: "That is already your email address" });
+  }
+
+  try {
+    if (!(await checkPassword(user, req.body.currentPassword))) {
+      return renderAccount(req, res, { error: "Current password is incorrect" });
+    }
+
+    const existingUsers = await getUsersByEmail(email);
+    if (existingUsers.length > 0) {
+      return renderAccount(req, res, { error: "Email already registered" });
+    }
+
+    req.accountUser = await updateUser(user.id, {
+      Email: email,
+      Verified: false,
+      VerificationPending: true,
+    });
+    req.session.userEmail = email;
+    req.session.userVerified = false;
+    res.locals.user.email = email;
+    res.locals.emailUnverified = true;
+
+    sendVerificationEmail(req.accountUser).catch((error) => {
+      console.error("Verification email failed:", error.message);
+    });
+
+    renderAccount(req, res, {
+      notice: `Your email has been changed. Check ${email} for a link to verify it.`,
+    });
+  } catch (error) {
+    console.error(error);
+    renderAccount(req, res, { error: "Error updating email" });
+  }
+});
+
+// Change password
+router.post("/password", async (req, res) => {
+  const { currentPassword, password, confirmPassword } = req.body;
+
+  try {
+    if (!(await checkPassword(req.accountUser, currentPassword))) {
+      return renderAccount(req, res, { error: "Current password is incorrect" });
+    }
+
+    if (!password) {
+      return renderAccount(req, res, { error: "New password required" });
+    }
+
+    if (password !== confirmPassword) {
+      return renderAccount(req, res, { error: "Passwords do not match" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Also invalidates any outstanding reset link
+    req.accountUser = await updateUser(req.accountUser.id, {
+      PasswordHash: hashedPassword,
+      PasswordResetTokenHash: null,
+      PasswordResetExpiresAt: null,
+    });
+
+    // Keep this device signed in, sign out everywhere else
+    sessionStore.destroyUserSessions(req.session.userId, req.sessionID);
+
+    renderAccount(req, res, {
+      notice: "Your password has been changed and your other devices have been signed out.",
+    });
+  } catch (error) {
+    console.error(error);
+    renderAccount(req, res, { error: "Error changing password" });
+  }
+});
+
+// Sign out of all devices, including this one
+router.post("/sign-out-everywhere", (req, res) => {
+  try {
+    sessionStore.destroyUserSessions(req.session.userId);
+  } catch (error) {
+    console.error(error);
+    return renderAccount(req, res, { error: "Error signing out other devices" });
+  }
+
+  req.session.destroy(() => {
+    res.redirect("/auth/login");
+  });
+});
+
+// Delete account and all followed movies
+router.post("/delete", async (req, res) => {
+  const user = req.accountUser;
+
+  try {
+    if (!(await checkPassword(user, req.body.currentPassword))) {
+      return renderAccount(req, res, { error: "Current password is incorrect" });
+    }
+
+    const deletedFollows = await deleteAccount(user.id, user.fields.UserID);
+    console.log(
+      `[ACCOUNT] Deleted user ${user.fields.UserID} and ${deletedFollows} followed movies`
+    );
+
+    sessionStore.destroyUserSessions(user.fields.UserID);
+    req.session.destroy(() => {
+      res.redirect("/");
+    });
+  } catch (error) {
+    console.error(error);
+    renderAccount(req, res, { error: "Error deleting account" });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const monitor = require('../../services/rate-limit-monitor');
-
-const requireAdmin = (req, res, next) => {
-  if (!req.query.admin_secret || req.query.admin_secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
-  next();
-};
-
-const requireAdminPage = (req, res, next) => {
-  if (!req.query.admin_secret || req.query.admin_secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).render('error', {
-      title: 'Access Denied',
-      message: 'Admin access required',
-      statusCode: 403
-    });
-  }
-  next();
-};
+const { getFailedNotifications } = require('../../services/notification-log');
+const { redriveFailedNotifications } = require('../../services/notification-redrive');
+const { NOTIFICATION_LOG_LOCK } = require('../../services/notification-log');
+const { JOB_RUN_STATUS, runJob, getRecentJobRuns } = require('../../services/job-runs');
+const { EMAIL_PREVIEWS, renderEmailPreview } = require('../../services/email-previews');
+const { requireAdmin, requireAdminPage } = require('../../middleware/admin-auth');
+const { htmlToText } = require('../../utils/html-to-text');
+const { APP_BASE_URL } = require('../../utils/app-config');
 
 router.get('/rate-limit-stats', requireAdmin, (req, res) => {
   try {
@@ -55,6 +42,79 @@ router.post('/reset-rate-limit-stats', requireAdmin, (req, res) => {
   }
 });
 
+// Notifications the release jobs failed to deliver
+router.get('/notifications/failed', requireAdmin, async (req, res) => {
+  try {
+    const notifications = await getFailedNotifications();
+    res.json({
+      success: true,
+      count: notifications.length,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error getting failed notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve failed notifications'
+    });
+  }
+});
+
+// Re-send every failed notification (under the same job lock as the release
+// check, so the two never claim the same notification)
+router.post('/notifications/redrive', requireAdmin, async (req, res) => {
+  try {
+    console.log('[REDRIVE] Re-drive triggered from admin endpoint');
+    const { run, summary, error } = await runJob(
+      'redrive-notifications',
+      'http',
+      () => redriveFailedNotifications(),
+      { lock: NOTIFICATION_LOG_LOCK }
+    );
+    if (run.status === JOB_RUN_STATUS.SKIPPED) {
+      return res.status(409).json({
+        success: false,
+        message: `Not re-driven: ${run.error}`
+      });
+    }
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Failed notifications re-driven',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error re-driving notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-drive notifications'
+    });
+  }
+});
+
+// Job run history, newest first (?job=check-releases&status=failed&limit=50)
+router.get('/jobs/runs', requireAdmin, async (req, res) => {
+  try {
+    const runs = await getRecentJobRuns({
+      job: req.query.job,
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve job runs'
+    });
+  }
+});
+
 // Dashboard page
 router.get('/dashboard', requireAdminPage, (req, res) => {
   res.render('admin-dashboard', {
@@ -63,4 +123,36 @@ router.get('/dashboard', requireAdminPage, (req, res) => {
   });
 });
 
+// Email template gallery, every template rendered with sample movies
+router.get('/emails', requireAdminPage, (req, res) => {
+  const previews = Object.entries(EMAIL_PREVIEWS).map(([key, { label }]) => ({ key, label }));
+  const selected = Object.hasOwn(EMAIL_PREVIEWS, req.query.template) ? req.query.template : previews[0].key;
+
+  res.render('admin-email-previews', {
+    title: 'Email Previews',
+    layout: false,
+    previews,
+    selected,
+    baseUrl: APP_BASE_URL
+  });
+});
+
+// One template as the email would be sent (?format=text for the plain-text part)
+router.get('/emails/:template', requireAdminPage, (req, res) => {
+  try {
+    const html = renderEmailPreview(req.params.template);
+    if (!html) {
+      return res.status(404).type('text').send('Unknown email template');
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text').send(htmlToText(html));
+    }
+    res.type('html').send(html);
+  } catch (error) {
+    console.error(`Error rendering email preview "${req.params.template}":`, error);
+    res.status(500).type('text').send(`Failed to render template: ${error.message}`);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
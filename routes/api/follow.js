@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { userActionLimiter } = require("../../middleware/rate-limiting");
 const { getReleaseData } = require("../../services/tmdb");
-const { followMovie, unfollowMovie } = require("../../services/airtable");
+const { followMovies, unfollowMovie } = require("../../services/airtable");
 const { clearCache } = require("../../services/cache");
 
 const validFollowTypes = ["theatrical", "streaming", "both"];
@@ -59,32 +59,32 @@ router.post("/follow", userActionLimiter, async (req, res) => {
     const followTypesToCreate =
       followType === "both" ? ["theatrical", "streaming"] : [followType];
 
-    await Promise.all(
-      followTypesToCreate.map(async (type) => {
-        let specificReleaseDate = null;
-        let streamingReleaseDate = null;
-        
-        if (type === "streaming") {
-          streamingReleaseDate = finalStreamingDate;
-          specificReleaseDate = null; // Don't populate ReleaseDate for streaming records
-        } else if (type === "theatrical") {
-          specificReleaseDate = theatricalDate;
-        }
-        
-
-        await followMovie(req.session.airtableRecordId, {
-          TMDB_ID: Number(movieId),
-          Title: title,
-          ReleaseDate: specificReleaseDate,
-          PosterPath: posterPath,
-          User: [req.session.airtableRecordId],
-          UserID: req.session.userId,
-          FollowType: type,
-          StreamingDateAvailable: type === "streaming" && Boolean(streamingReleaseDate),
-          StreamingReleaseDate: streamingReleaseDate,
-        });
-      })
-    );
+    // One record per follow type, created in a single batched write
+    const followRecords = followTypesToCreate.map((type) => {
+      let specificReleaseDate = null;
+      let streamingReleaseDate = null;
+      
+      if (type === "streaming") {
+        streamingReleaseDate = finalStreamingDate;
+        specificReleaseDate = null; // Don't populate ReleaseDate for streaming records
+      } else if (type === "theatrical") {
+        specificReleaseDate = theatricalDate;
+      }
+
+      return {
+        TMDB_ID: Number(movieId),
+        Title: title,
+        ReleaseDate: specificReleaseDate,
+        PosterPath: posterPath,
+        User: [req.session.airtableRecordId],
+        UserID: req.session.userId,
+        FollowType: type,
+        StreamingDateAvailable: type === "streaming" && Boolean(streamingReleaseDate),
+        StreamingReleaseDate: streamingReleaseDate,
+      };
+    });
+
+    await followMovies(req.session.airtableRecordId, followRecords);
 
     // Clear user's followed movies cache after successful follow
     clearCache(`followedMovies_${req.session.userId}`);
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const moviePaginationService = require("../../services/movie-pagination");
+const { requireAdmin } = require("../../middleware/admin-auth");
+
+// Every pagination admin endpoint requires an admin session or bearer token
+router.use(requireAdmin);
 
 // Admin endpoint to view pagination service statistics
 router.get("/pagination-stats", (req, res) => {
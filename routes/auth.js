@@ -2,7 +2,30 @@ const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcrypt");
 const { v4: uuidv4 } = require("uuid");
-const { getUsersByEmail, createUser } = require("../services/airtable");
+const {
+  getUsersByEmail,
+  getUserByRecordId,
+  createUser,
+  updateUser,
+  getUserByPasswordResetToken,
+} = require("../services/airtable");
+const sendEmail = require("../services/send-email");
+const { generatePasswordResetEmailHTML } = require("../services/email-templates");
+const {
+  sendVerificationEmail,
+  isEmailVerified,
+  readVerificationToken,
+} = require("../services/verification-email");
+const { emailRequestLimiter } = require("../middleware/rate-limiting");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { APP_BASE_URL } = require("../utils/app-config");
+const { DEFAULT_TIME_ZONE, normalizeTimeZone } = require("../utils/date-helpers");
+const sessionStore = require("../services/session-store");
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const REMEMBER_ME_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RESET_REQUESTED_MESSAGE =
+  "If an account exists for that email, we've sent a link to reset your password.";
 
 // Registration page
 router.get("/register", (req, res) => {
@@ -14,6 +37,7 @@ router.post("/register", async (req, res) => {
   const email = req.body.email.trim().toLowerCase();
   const name = req.body.name?.trim() || "";
   const password = req.body.password;
+  const timeZone = normalizeTimeZone(req.body.timeZone) || DEFAULT_TIME_ZONE;
 
   if (!email || !password) {
     return res.render("register", {
@@ -34,14 +58,26 @@ router.post("/register", async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     const userID = uuidv4();
 
-    await createUser({
+    const user = await createUser({
       UserID: userID,
       Email: email,
       Name: name,
       PasswordHash: hashedPassword,
+      TimeZone: timeZone,
+      Verified: false,
+      VerificationPending: true,
+    });
+
+    // Registration succeeds even if the email fails; the user can resend it
+    sendVerificationEmail(user).catch((error) => {
+      console.error("Verification email failed:", error.message);
     });
 
-    res.redirect("/auth/login");
+    res.render("login", {
+      title: "Login",
+      error: null,
+      notice: "Account created! Check your email for a link to verify your address.",
+    });
   } catch (error) {
     console.error(error);
     res.render("register", {
@@ -90,20 +126,238 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    req.session.userId = user.fields.UserID;
-    req.session.airtableRecordId = user.id;
-    req.session.userEmail = user.fields.Email;
-    req.session.userName = user.fields.Name;
-
     const redirectTo = req.session.redirectTo || "/";
-    delete req.session.redirectTo;
-    res.redirect(redirectTo);
+
+    // New session ID on login, so a session ID planted before login is useless
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error(err);
+        return res.render("login", { title: "Login", error: "Error logging in" });
+      }
+
+      req.session.userId = user.fields.UserID;
+      req.session.airtableRecordId = user.id;
+      req.session.userEmail = user.fields.Email;
+      req.session.userName = user.fields.Name;
+      req.session.userVerified = isEmailVerified(user);
+      req.session.isAdmin = user.fields.IsAdmin === true;
+      req.session.timeZone = normalizeTimeZone(user.fields.TimeZone) || DEFAULT_TIME_ZONE;
+
+      if (req.body.remember) {
+        req.session.cookie.maxAge = REMEMBER_ME_MAX_AGE_MS;
+      }
+
+      res.redirect(redirectTo);
+    });
   } catch (error) {
     console.error(error);
     res.render("login", { title: "Login", error: "Error logging in" });
   }
 });
 
+// Forgot password page
+router.get("/forgot", (req, res) => {
+  res.render("forgot-password", {
+    title: "Forgot Password",
+    error: null,
+    notice: null,
+  });
+});
+
+// Store a reset token for the account with this email, if there is one, and
+// email the reset link
+async function sendPasswordReset(email) {
+  const [user] = await getUsersByEmail(email);
+  if (!user) return;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await updateUser(user.id, {
+    PasswordResetTokenHash: hashToken(token),
+    PasswordResetExpiresAt: expiresAt.toISOString(),
+  });
+
+  await sendEmail({
+    to: user.fields.Email,
+    subject: "🔑 Reset your Movie Release Tracker password",
+    htmlContent: generatePasswordResetEmailHTML({
+      name: user.fields.Name,
+      resetUrl: `${APP_BASE_URL}/auth/reset/${token}`,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    }),
+  });
+}
+
+// Forgot password handler - always responds the same way so it can't be
+// used to find out which emails are registered
+router.post("/forgot", emailRequestLimiter, async (req, res) => {
+  const email = (req.body.email || "").trim().toLowerCase();
+
+  if (!email) {
+    return res.render("forgot-password", {
+      title: "Forgot Password",
+      error: "Email required",
+      notice: null,
+    });
+  }
+
+  res.render("forgot-password", {
+    title: "Forgot Password",
+    error: null,
+    notice: RESET_REQUESTED_MESSAGE,
+  });
+
+  // After the response, so its timing doesn't depend on whether the email exists
+  sendPasswordReset(email).catch((error) => {
+    console.error("Password reset request failed:", error.message);
+  });
+});
+
+// Reset password page
+router.get("/reset/:token", async (req, res) => {
+  try {
+    const user = await getUserByPasswordResetToken(hashToken(req.params.token));
+
+    res.render("reset-password", {
+      title: "Reset Password",
+      token: req.params.token,
+      error: user ? null : "This reset link is invalid or has expired.",
+      invalidToken: !user,
+    });
+  } catch (error) {
+    console.error(error);
+    res.render("reset-password", {
+      title: "Reset Password",
+      token: req.params.token,
+      error: "Error loading reset link",
+      invalidToken: true,
+    });
+  }
+});
+
+// Reset password handler
+router.post("/reset/:token", async (req, res) => {
+  const { token } = req.params;
+  const password = req.body.password;
+  const confirmPassword = req.body.confirmPassword;
+
+  const renderReset = (error, invalidToken = false) =>
+    res.render("reset-password", {
+      title: "Reset Password",
+      token,
+      error,
+      invalidToken,
+    });
+
+  try {
+    const user = await getUserByPasswordResetToken(hashToken(token));
+    if (!user) {
+      return renderReset("This reset link is invalid or has expired.", true);
+    }
+
+    if (!password) {
+      return renderReset("Password required");
+    }
+
+    if (password !== confirmPassword) {
+      return renderReset("Passwords do not match");
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Clearing the token makes the link single-use
+    await updateUser(user.id, {
+      PasswordHash: hashedPassword,
+      PasswordResetTokenHash: null,
+      PasswordResetExpiresAt: null,
+    });
+
+    // Anyone signed in with the old password is signed out
+    sessionStore.destroyUserSessions(user.fields.UserID);
+
+    res.render("login", {
+      title: "Login",
+      error: null,
+      notice: "Your password has been reset. Please log in.",
+    });
+  } catch (error) {
+    console.error(error);
+    renderReset("Error resetting password");
+  }
+});
+
+// Verify email link
+router.get("/verify/:token", async (req, res) => {
+  const renderResult = (error, notice = null) =>
+    res.render("verify-email", { title: "Verify Email", error, notice });
+
+  const payload = readVerificationToken(req.params.token);
+  if (!payload) {
+    return renderResult("This verification link is invalid or has expired.");
+  }
+
+  try {
+    const user = await getUserByRecordId(payload.userRecordId);
+
+    // The address must still match, or the link was for an old email
+    if (!user || user.fields.Email !== payload.email) {
+      return renderResult("This verification link is invalid or has expired.");
+    }
+
+    if (!user.fields.Verified || user.fields.VerificationPending) {
+      await updateUser(user.id, { Verified: true, VerificationPending: false });
+    }
+
+    if (req.session.airtableRecordId === user.id) {
+      req.session.userVerified = true;
+    }
+
+    renderResult(null, "Your email address has been verified. You'll now receive release notifications.");
+  } catch (error) {
+    console.error(error);
+    renderResult("Error verifying email");
+  }
+});
+
+// Resend verification email for the logged-in user
+router.post("/verify/resend", emailRequestLimiter, async (req, res) => {
+  if (!req.session.userId) {
+    return res.redirect("/auth/login");
+  }
+
+  try {
+    const user = await getUserByRecordId(req.session.airtableRecordId);
+    if (!user) {
+      return res.redirect("/auth/login");
+    }
+
+    if (isEmailVerified(user)) {
+      req.session.userVerified = true;
+      return res.render("verify-email", {
+        title: "Verify Email",
+        error: null,
+        notice: "Your email address is already verified.",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.render("verify-email", {
+      title: "Verify Email",
+      error: null,
+      notice: `We've sent a new verification link to ${user.fields.Email}.`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.render("verify-email", {
+      title: "Verify Email",
+      error: "Error sending verification email",
+      notice: null,
+    });
+  }
+});
+
 // Logout
 router.get("/logout", (req, res) => {
   req.session.destroy(() => {
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const { getCalendarFeed } = require("../services/calendar-feed");
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Personal feed of followed release dates, for calendar app subscriptions
+// (the secret token in the URL is the credential, calendar apps can't log in)
+router.get("/:token.ics", async (req, res) => {
+  if (!FEED_TOKEN_PATTERN.test(req.params.token)) {
+    return res.status(404).type("text").send("Calendar not found");
+  }
+
+  try {
+    const calendar = await getCalendarFeed(req.params.token);
+    if (!calendar) {
+      return res.status(404).type("text").send("Calendar not found");
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="movie-releases.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error("[CALENDAR] Error building calendar feed:", error);
+    res.status(500).type("text").send("Failed to build calendar");
+  }
+});
+
+module.exports = router;
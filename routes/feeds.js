@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const {
+  MOVIE_FEEDS,
+  FEED_FORMATS,
+  resolveFeedOptions,
+  getMovieFeed,
+} = require("../services/movie-feeds");
+const { buildRssFeed, buildAtomFeed } = require("../utils/feeds");
+
+const BUILDERS = { rss: buildRssFeed, atom: buildAtomFeed };
+
+// /upcoming.rss, /upcoming.atom, /top-releases.rss, /top-releases.atom
+// Same ?sort= and ?genre= options as the pages
+Object.entries(MOVIE_FEEDS).forEach(([list, { path }]) => {
+  Object.entries(FEED_FORMATS).forEach(([format, { extension, contentType }]) => {
+    router.get(`${path}.${extension}`, async (req, res) => {
+      try {
+        const feed = await getMovieFeed(list, format, resolveFeedOptions(list, req.query));
+        res.set({
+          "Content-Type": `${contentType}; charset=utf-8`,
+          "Cache-Control": "public, max-age=900",
+        });
+
+        // The newest entry date, so readers can tell the feed changed
+        // (an empty feed has none to give)
+        if (feed.items.length > 0) {
+          const updated = Math.max(...feed.items.map((item) => item.updated.getTime()));
+          res.set("Last-Modified", new Date(updated).toUTCString());
+        }
+        res.send(BUILDERS[format](feed));
+      } catch (error) {
+        console.error(`[FEEDS] Failed to build ${list} ${format} feed:`, error);
+        res.status(503).type("text").send("Feed temporarily unavailable");
+      }
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const { JOBS } = require("../services/job-scheduler");
+const { JOB_RUN_STATUS, runJob } = require("../services/job-runs");
+const { requireCronSecret } = require("../middleware/cron-auth");
+
+// Options an HTTP trigger can pass in the query string
+// ?limit=N caps how many follows the date check looks at
+// ?dryRun=1 makes the weekly digest report its emails without sending them
+function jobOptions(query) {
+  return {
+    limit: query.limit,
+    dryRun: query.dryRun === "1" || query.dryRun === "true",
+  };
+}
+
+// Run a job now, under the same lock and history as scheduled runs
+// (GET for cron services that can only fetch a URL)
+async function triggerJob(req, res) {
+  if (!Object.hasOwn(JOBS, req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown job: ${req.params.name}`
+    });
+  }
+
+  try {
+    const job = JOBS[req.params.name];
+    const options = jobOptions(req.query);
+    const { run, summary, error } = await runJob(
+      req.params.name,
+      "http",
+      () => job.run(options),
+      { lock: job.lock }
+    );
+
+    if (run.status === JOB_RUN_STATUS.SKIPPED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job already running',
+        message: run.error,
+        run
+      });
+    }
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message,
+        run
+      });
+    }
+
+    return res.json({
+      success: true,
+      ...summary,
+      run
+    });
+  } catch (err) {
+    console.error(`[JOBS] Could not start ${req.params.name}:`, err.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: err.message
+    });
+  }
+}
+
+router.get("/:name", requireCronSecret, triggerJob);
+router.post("/:name", requireCronSecret, triggerJob);
+
+module.exports = router;
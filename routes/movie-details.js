@@ -4,10 +4,16 @@ const router = express.Router();
 const { getReleaseData, getMovieDetails } = require("../services/tmdb");
 const { getFollowedMoviesByUserId } = require("../services/airtable");
 const { getMovieDisplayDate } = require("../utils/date-helpers");
+const { buildMovieCalendar } = require("../services/calendar-feed");
 // Caching
 const { getCachedData, setCachedData } = require("../services/cache");
 // Constants
 const CAST_LIMIT = 10;
+const CALENDAR_TYPES = {
+  theatrical: ["theatrical"],
+  streaming: ["streaming"],
+  both: ["theatrical", "streaming"],
+};
 
 // Helper function to find trailer
 function findTrailer(videos) {
@@ -27,6 +33,27 @@ function findTrailer(videos) {
   );
 }
 
+// US theatrical and streaming dates, as shown on the details page
+async function getUsReleaseDates(movie) {
+  const releaseData = await getReleaseData(movie.id);
+
+  return {
+    // Prioritize US theatrical date over primary release date
+    theatrical: releaseData.usTheatrical || releaseData.primary || movie.release_date || null,
+    streaming: releaseData.streaming || null,
+  };
+}
+
+// "Dune: Part Two" -> "dune-part-two", for download file names
+function slugify(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "movie"
+  );
+}
+
 // Helper function to find director
 function findDirector(crew) {
   return crew?.find((member) => member.job === "Director") || null;
@@ -69,6 +96,38 @@ async function checkIfUserFollowing(userId, movieId) {
   return followedMovieIds.includes(Number(movieId));
 }
 
+// "Add to calendar" download with the theatrical and/or streaming release
+// (?type=theatrical|streaming|both), no login needed
+router.get("/:id/calendar.ics", async (req, res) => {
+  const type = req.query.type || "both";
+  if (!/^\d+$/.test(req.params.id) || !Object.hasOwn(CALENDAR_TYPES, type)) {
+    return res.status(404).type("text").send("Calendar not found");
+  }
+  const types = CALENDAR_TYPES[type];
+
+  try {
+    // Same request as the details page, so downloads from it hit the cache
+    const movie = await getMovieDetails(req.params.id, "credits,videos");
+    const releaseDates = await getUsReleaseDates(movie);
+
+    const calendar = buildMovieCalendar(movie, releaseDates, types);
+    if (!calendar) {
+      return res.status(404).type("text").send("No release date has been announced yet");
+    }
+
+    const suffix = types.length === 1 ? `-${types[0]}` : "";
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${slugify(movie.title)}${suffix}.ics"`,
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error(`Error building calendar for movie ${req.params.id}:`, error.message);
+    const status = error.response?.status === 404 ? 404 : 500;
+    res.status(status).type("text").send(status === 404 ? "Movie not found" : "Failed to build calendar");
+  }
+});
+
 // Movie detail page route
 router.get("/:id", async (req, res) => {
   try {
@@ -78,18 +137,16 @@ router.get("/:id", async (req, res) => {
     const movie = await getMovieDetails(movieId, "credits,videos");
 
     // Get unified release data (theatrical, streaming, primary dates)
-    const releaseData = await getReleaseData(movieId);
-    
-    // Prioritize US theatrical date over primary release date
-    const theatricalDateString = releaseData.usTheatrical || releaseData.primary || movie.release_date;
-    movie.release_date = theatricalDateString || movie.release_date;
+    const releaseDates = await getUsReleaseDates(movie);
+    movie.release_date = releaseDates.theatrical || movie.release_date;
     
     // Set streaming dates
-    movie.streaming_date = releaseData.streaming;
-    movie.streamingDateRaw = releaseData.streaming;
+    movie.streaming_date = releaseDates.streaming;
+    movie.streamingDateRaw = releaseDates.streaming;
 
-    // Add unified date display information
-    const dateInfo = getMovieDisplayDate(movie, { context: 'details' });
+    // Add unified date display information, with relative labels ("Tomorrow")
+    // in the signed-in user's time zone
+    const dateInfo = getMovieDisplayDate(movie, { context: 'details', timeZone: req.session.timeZone });
     movie.displayDate = dateInfo.displayText;
     movie.dateType = dateInfo.dateType;
     movie.dateStatusClass = dateInfo.statusClass;
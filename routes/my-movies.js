@@ -10,6 +10,7 @@ router.get("/", async (req, res) => {
 
   try {
     const userId = req.session.userId;
+    const timeZone = req.session.timeZone; // Relative labels ("Today") in the user's zone
 
     // Get followed movies (caching is handled by the service layer)
     const followedMovies = await getFollowedMoviesByUserId(userId);
@@ -57,7 +58,7 @@ router.get("/", async (req, res) => {
         };
 
         // Apply unified date processing
-        const dateInfo = getMovieDisplayDate(baseMovie, { context: 'my-movies' });
+        const dateInfo = getMovieDisplayDate(baseMovie, { context: 'my-movies', timeZone });
         baseMovie.displayDate = dateInfo.displayText;
         baseMovie.dateType = dateInfo.dateType;
         baseMovie.dateStatusClass = dateInfo.statusClass;
@@ -106,7 +107,7 @@ router.get("/", async (req, res) => {
     
     // Re-process date information after consolidation
     consolidatedMovies.forEach(movie => {
-      const dateInfo = getMovieDisplayDate(movie, { context: 'my-movies' });
+      const dateInfo = getMovieDisplayDate(movie, { context: 'my-movies', timeZone });
       movie.displayDate = dateInfo.displayText;
       movie.dateType = dateInfo.dateType;
       movie.dateStatusClass = dateInfo.statusClass;
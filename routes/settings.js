@@ -0,0 +1,269 @@
+const express = require("express");
+const router = express.Router();
+const { getUserByRecordId, updateUser } = require("../services/airtable");
+const {
+  REMINDER_LEAD_DAYS,
+  getNotificationPreferences,
+  preferencesFromForm,
+  preferencesToFields,
+} = require("../services/notification-preferences");
+const {
+  calendarFeedUrl,
+  regenerateCalendarToken,
+} = require("../services/calendar-feed");
+const {
+  WEBHOOK_FORMATS,
+  getWebhook,
+  validateWebhook,
+  saveWebhook,
+  removeWebhook,
+  sendTestWebhook,
+} = require("../services/webhooks");
+const {
+  VAPID_PUBLIC_KEY,
+  isPushConfigured,
+  getPushSubscriptions,
+  parseSubscription,
+  addPushSubscription,
+  removePushSubscriptions,
+} = require("../services/push-notifications");
+const {
+  DEFAULT_TIME_ZONE,
+  normalizeTimeZone,
+  listTimeZones,
+} = require("../utils/date-helpers");
+
+function renderSettings(res, user, preferences, { error = null, notice = null } = {}) {
+  const calendarToken = user.fields.CalendarToken;
+
+  res.locals.page = "settings";
+  res.render("settings", {
+    title: "Settings",
+    preferences,
+    reminderLeadDays: REMINDER_LEAD_DAYS,
+    timeZone: normalizeTimeZone(user.fields.TimeZone) || DEFAULT_TIME_ZONE,
+    timeZones: listTimeZones(),
+    calendarUrl: calendarToken ? calendarFeedUrl(calendarToken) : null,
+    webhook: getWebhook(user),
+    webhookFormats: WEBHOOK_FORMATS,
+    pushPublicKey: isPushConfigured() ? VAPID_PUBLIC_KEY : null,
+    pushDeviceCount: getPushSubscriptions(user).length,
+    error,
+    notice,
+  });
+}
+
+// Load the signed-in user, or send them to log in again
+async function loadSettingsUser(req, res) {
+  if (!req.session.userId) {
+    res.redirect("/auth/login?redirect=/settings");
+    return null;
+  }
+
+  const user = await getUserByRecordId(req.session.airtableRecordId);
+  if (!user) {
+    req.session.destroy(() => res.redirect("/auth/login"));
+    return null;
+  }
+
+  return user;
+}
+
+// Notification settings page
+router.get("/", async (req, res) => {
+  try {
+    const user = await loadSettingsUser(req, res);
+    if (!user) return;
+
+    renderSettings(res, user, getNotificationPreferences(user));
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    res.status(500).send("Internal server error");
+  }
+});
+
+// Save notification preferences
+router.post("/", async (req, res) => {
+  let user;
+  try {
+    user = await loadSettingsUser(req, res);
+    if (!user) return;
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return res.status(500).send("Internal server error");
+  }
+
+  const preferences = preferencesFromForm(req.body);
+  const timeZone = normalizeTimeZone(req.body.timeZone) || DEFAULT_TIME_ZONE;
+
+  try {
+    await updateUser(user.id, { ...preferencesToFields(preferences), TimeZone: timeZone });
+    req.session.timeZone = timeZone;
+    const updatedUser = { ...user, fields: { ...user.fields, TimeZone: timeZone } };
+    renderSettings(res, updatedUser, preferences, { notice: "Your notification settings have been saved." });
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    renderSettings(res, user, preferences, { error: "Error saving settings" });
+  }
+});
+
+// Create the calendar feed link, or replace it so the old one stops working
+router.post("/calendar", async (req, res) => {
+  let user;
+  try {
+    user = await loadSettingsUser(req, res);
+    if (!user) return;
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return res.status(500).send("Internal server error");
+  }
+
+  const preferences = getNotificationPreferences(user);
+  const hadLink = Boolean(user.fields.CalendarToken);
+
+  try {
+    const token = await regenerateCalendarToken(user.id);
+    const updatedUser = { ...user, fields: { ...user.fields, CalendarToken: token } };
+
+    renderSettings(res, updatedUser, preferences, {
+      notice: hadLink
+        ? "Your calendar link has been replaced. Calendars subscribed to the old link will stop updating."
+        : "Your calendar link is ready. Add it to your calendar app as a subscription.",
+    });
+  } catch (error) {
+    console.error("Error creating calendar link:", error);
+    renderSettings(res, user, preferences, { error: "Error creating calendar link" });
+  }
+});
+
+// Save the webhook URL and format (the signing secret is created on first save)
+router.post("/webhook", async (req, res) => {
+  let user;
+  try {
+    user = await loadSettingsUser(req, res);
+    if (!user) return;
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return res.status(500).send("Internal server error");
+  }
+
+  const preferences = getNotificationPreferences(user);
+  const settings = { url: req.body.url, format: req.body.format };
+  const invalid = await validateWebhook(settings);
+  if (invalid) {
+    return renderSettings(res, user, preferences, { error: invalid });
+  }
+
+  try {
+    const webhook = await saveWebhook(user, settings);
+    const updatedUser = { ...user, fields: { ...user.fields, Webhook: JSON.stringify(webhook) } };
+
+    renderSettings(res, updatedUser, preferences, {
+      notice: "Your webhook has been saved. Use Send Test to check it.",
+    });
+  } catch (error) {
+    console.error("Error saving webhook:", error);
+    renderSettings(res, user, preferences, { error: "Error saving webhook" });
+  }
+});
+
+// Post a sample release alert so the user can see it arrive
+router.post("/webhook/test", async (req, res) => {
+  let user;
+  try {
+    user = await loadSettingsUser(req, res);
+    if (!user) return;
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return res.status(500).send("Internal server error");
+  }
+
+  const preferences = getNotificationPreferences(user);
+  const webhook = getWebhook(user);
+  if (!webhook) {
+    return renderSettings(res, user, preferences, { error: "Save a webhook first" });
+  }
+
+  // Only success or failure is shown; the details stay in the logs
+  try {
+    await sendTestWebhook(webhook);
+    renderSettings(res, user, preferences, {
+      notice: "Test sent. Check your channel or endpoint for the sample alert.",
+    });
+  } catch (error) {
+    console.error(`[WEBHOOK] Test for user ${user.id} failed:`, error.message);
+    renderSettings(res, user, preferences, {
+      error: "The test alert couldn't be delivered. Check the webhook URL and try again.",
+    });
+  }
+});
+
+// Stop posting to the webhook
+router.post("/webhook/remove", async (req, res) => {
+  let user;
+  try {
+    user = await loadSettingsUser(req, res);
+    if (!user) return;
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return res.status(500).send("Internal server error");
+  }
+
+  const preferences = getNotificationPreferences(user);
+
+  try {
+    await removeWebhook(user.id);
+    const updatedUser = { ...user, fields: { ...user.fields, Webhook: null } };
+    renderSettings(res, updatedUser, preferences, { notice: "Your webhook has been removed." });
+  } catch (error) {
+    console.error("Error removing webhook:", error);
+    renderSettings(res, user, preferences, { error: "Error removing webhook" });
+  }
+});
+
+// Push subscriptions, saved and removed by public/js/push-settings.js (JSON)
+router.post("/push/subscribe", async (req, res) => {
+  if (!req.session.userId) {
+    return res.status(401).json({ success: false, message: "Please log in again" });
+  }
+  if (!isPushConfigured()) {
+    return res.status(503).json({ success: false, message: "Push notifications aren't available" });
+  }
+
+  const subscription = parseSubscription(req.body);
+  if (!subscription) {
+    return res.status(400).json({ success: false, message: "Invalid push subscription" });
+  }
+
+  try {
+    const user = await getUserByRecordId(req.session.airtableRecordId);
+    if (!user) {
+      return res.status(401).json({ success: false, message: "Please log in again" });
+    }
+
+    const deviceCount = await addPushSubscription(user, subscription);
+    res.json({ success: true, deviceCount });
+  } catch (error) {
+    console.error("Error saving push subscription:", error);
+    res.status(500).json({ success: false, message: "Error saving push subscription" });
+  }
+});
+
+router.post("/push/unsubscribe", async (req, res) => {
+  if (!req.session.userId) {
+    return res.status(401).json({ success: false, message: "Please log in again" });
+  }
+  if (typeof req.body.endpoint !== "string") {
+    return res.status(400).json({ success: false, message: "Missing endpoint" });
+  }
+
+  try {
+    const deviceCount = await removePushSubscriptions(req.session.airtableRecordId, [req.body.endpoint]);
+    res.json({ success: true, deviceCount });
+  } catch (error) {
+    console.error("Error removing push subscription:", error);
+    res.status(500).json({ success: false, message: "Error removing push subscription" });
+  }
+});
+
+module.exports = router;
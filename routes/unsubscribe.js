@@ -0,0 +1,66 @@
+const express = require("express");
+const router = express.Router();
+const {
+  readUnsubscribeToken,
+  describeCategories,
+  unsubscribe,
+} = require("../services/unsubscribe");
+
+const INVALID_LINK = "This unsubscribe link is invalid or has expired. You can change your emails in your settings instead.";
+
+function renderUnsubscribe(res, { status = 200, ...locals }) {
+  res.status(status).render("unsubscribe", {
+    title: "Unsubscribe",
+    token: null,
+    description: null,
+    done: false,
+    error: null,
+    ...locals,
+  });
+}
+
+// Confirmation page for the link in an email (link scanners only ever GET,
+// so nothing changes until the button is pressed)
+router.get("/:token", (req, res) => {
+  const link = readUnsubscribeToken(req.params.token);
+  if (!link) {
+    return renderUnsubscribe(res, { status: 400, error: INVALID_LINK });
+  }
+
+  renderUnsubscribe(res, {
+    token: req.params.token,
+    description: describeCategories(link.categories),
+  });
+});
+
+// Unsubscribe, from the confirmation page or a mail client's one-click
+// List-Unsubscribe-Post request (the signed token is the credential)
+router.post("/:token", async (req, res) => {
+  const isOneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+  const link = readUnsubscribeToken(req.params.token);
+
+  if (!link) {
+    if (isOneClick) return res.status(400).send("Invalid unsubscribe link");
+    return renderUnsubscribe(res, { status: 400, error: INVALID_LINK });
+  }
+
+  try {
+    const found = await unsubscribe(link.userRecordId, link.categories);
+    if (!found) {
+      if (isOneClick) return res.status(404).send("Account not found");
+      return renderUnsubscribe(res, { status: 404, error: "This account no longer exists." });
+    }
+
+    if (isOneClick) return res.send("Unsubscribed");
+    renderUnsubscribe(res, {
+      done: true,
+      description: describeCategories(link.categories),
+    });
+  } catch (error) {
+    console.error("[UNSUBSCRIBE] Error unsubscribing:", error);
+    if (isOneClick) return res.status(500).send("Error unsubscribing");
+    renderUnsubscribe(res, { status: 500, error: "Error unsubscribing, please try again." });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { getFollowedMoviesByUserId } = require("../services/airtable");
 const { processMoviesWithDates, filterMovies, sortMovies, deduplicateMovies } = require("../services/movie-processor");
 const { getExtendedUpcomingMovies, getGenres } = require("../services/tmdb");
 const moviePaginationService = require("../services/movie-pagination");
+const { feedLinks, resolveFeedOptions } = require("../services/movie-feeds");
 router.get("/upcoming", async (req, res) => {
   const followMessage = req.query.followMessage || null;
   const sortBy = req.query.sort || "popularity";
@@ -115,6 +116,7 @@ router.get("/upcoming", async (req, res) => {
       sortBy,
       genre,
       genres,
+      feedLinks: feedLinks("upcoming", resolveFeedOptions("upcoming", req.query)),
       query: "",
       loginRedirect: "/upcoming",
       initialLoad: true,
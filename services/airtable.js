@@ -1,49 +1,78 @@
 // services/airtable.js
-const axios = require("axios");
-const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
-const AIRTABLE_USERS_TABLE = "Users"; // your users table
-const AIRTABLE_FOLLOWED_MOVIES_TABLE = "FollowedMovies"; // your followed movies table
-const PAT = process.env.AIRTABLE_API_KEY; // Your Personal Access Token
+// Data access for users and followed movies. The actual storage backend
+// (Airtable or local SQLite) is selected in ./storage via STORAGE_BACKEND.
+const store = require("./storage");
 // Caching - only use NodeCache implementation
 const { clearCache, getCachedData, setCachedData } = require("./cache");
 
-const airtableAxios = axios.create({
-  baseURL: `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/`,
-  headers: {
-    Authorization: `Bearer ${PAT}`,
-    "Content-Type": "application/json",
-  },
-});
-
 async function getUsersByEmail(email) {
-  try {
-    const filterFormula = `LOWER({Email}) = '${email.toLowerCase()}'`;
-    const response = await airtableAxios.get(`${AIRTABLE_USERS_TABLE}`, {
-      params: { filterByFormula: filterFormula },
-    });
-    return response.data.records;
-  } catch (error) {
-    console.error(
-      "Airtable getUsersByEmail error:",
-      error.response?.data || error.message
-    );
-    throw error;
-  }
+  return store.getUsersByEmail(email);
+}
+
+/**
+ * Get a user record by its record ID (as linked from FollowedMovies.User)
+ */
+async function getUserByRecordId(recordId) {
+  return store.getUserByRecordId(recordId);
 }
 
 async function createUser(userData) {
-  try {
-    const response = await airtableAxios.post(AIRTABLE_USERS_TABLE, {
-      fields: userData,
-    });
-    return response.data;
-  } catch (error) {
-    console.error(
-      "Airtable createUser error:",
-      error.response?.data || error.message
-    );
-    throw error;
-  }
+  return store.createUser(userData);
+}
+
+/**
+ * Update fields on a user record
+ */
+async function updateUser(recordId, fields) {
+  return store.updateUser(recordId, fields);
+}
+
+/**
+ * Delete an account: every follow record for the user, then the user record
+ * Follows go first so a failure part-way never leaves orphaned follows behind
+ * @param {string} recordId - User record ID
+ * @param {string} userId - The user's UserID (as stored on follow records)
+ * @returns {Promise<number>} Number of follow records deleted
+ */
+async function deleteAccount(recordId, userId) {
+  const deletedFollows = await store.deleteAllFollows(userId);
+  clearCache(`followedMovies_${userId}`);
+
+  await store.deleteUser(recordId);
+
+  return deletedFollows;
+}
+
+/**
+ * Find the user holding an unexpired password reset token
+ * @param {string} tokenHash - SHA-256 hash of the emailed token
+ * @returns {Promise<Object|null>} User record or null
+ */
+async function getUserByPasswordResetToken(tokenHash) {
+  const [user] = await store.findUsers("PasswordResetTokenHash", tokenHash);
+  if (!user) return null;
+
+  const expiresAt = new Date(user.fields.PasswordResetExpiresAt);
+  if (isNaN(expiresAt.getTime()) || expiresAt < new Date()) return null;
+
+  return user;
+}
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<Object|null>} User record or null
+ */
+async function getUserByCalendarToken(token) {
+  const [user] = await store.findUsers("CalendarToken", token);
+  return user || null;
+}
+
+/**
+ * Get users with notifications waiting for their daily/weekly digest
+ */
+async function getUsersWithPendingDigest() {
+  return store.findUsersWithField("PendingDigest");
 }
 
 /**
@@ -60,26 +89,52 @@ async function getFollowedMoviesByUserId(userId) {
     return cachedData;
   }
 
-  // No cached data or cache expired — fetch fresh from Airtable
-  try {
-    const filterFormula = `{UserID} = '${userId}'`;
-    const response = await airtableAxios.get(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
-      params: { filterByFormula: filterFormula },
-    });
-
-    const records = response.data.records;
-
-    // Cache the fresh data for future calls
-    setCachedData(cacheKey, records);
-
-    return records;
-  } catch (error) {
-    console.error(
-      "Airtable getFollowedMoviesByUserId error:",
-      error.response?.data || error.message
-    );
-    throw error;
-  }
+  // No cached data or cache expired — fetch fresh from storage
+  const records = await store.getFollowedMoviesByUserId(userId);
+
+  // Cache the fresh data for future calls
+  setCachedData(cacheKey, records);
+
+  return records;
+}
+
+/**
+ * Build the stored fields for one follow record
+ */
+function buildFollowFields(airtableUserRecordId, movieData) {
+  return {
+    ...movieData,
+    FollowType: movieData.FollowType,
+    StreamingDateAvailable:
+      movieData.FollowType === "streaming" &&
+      Boolean(movieData.StreamingReleaseDate),
+    StreamingReleaseDate:
+      movieData.FollowType === "streaming"
+        ? movieData.StreamingReleaseDate || null
+        : null,
+    User: [airtableUserRecordId],
+    UserID: movieData.UserID,
+    PosterPath: movieData.PosterPath,
+  };
+}
+
+/**
+ * Follow a movie for several follow types at once (e.g. theatrical + streaming)
+ * Creates all records in one batched write and clears the user's cache
+ */
+async function followMovies(airtableUserRecordId, movieDataList) {
+  const records = await store.createFollows(
+    movieDataList.map((movieData) =>
+      buildFollowFields(airtableUserRecordId, movieData)
+    )
+  );
+
+  // Clear cache after successful follow
+  new Set(movieDataList.map((movieData) => movieData.UserID)).forEach(
+    (userId) => clearCache(`followedMovies_${userId}`)
+  );
+
+  return records;
 }
 
 /**
@@ -87,35 +142,8 @@ async function getFollowedMoviesByUserId(userId) {
  * Clears the user's cache after successful operation
  */
 async function followMovie(airtableUserRecordId, movieData) {
-  try {
-    const response = await airtableAxios.post("FollowedMovies", {
-      fields: {
-        ...movieData,
-        FollowType: movieData.FollowType,
-        StreamingDateAvailable:
-          movieData.FollowType === "streaming" &&
-          Boolean(movieData.StreamingReleaseDate),
-        StreamingReleaseDate:
-          movieData.FollowType === "streaming"
-            ? movieData.StreamingReleaseDate || null
-            : null,
-        User: [airtableUserRecordId],
-        UserID: movieData.UserID,
-        PosterPath: movieData.PosterPath,
-      },
-    });
-
-    // Clear cache after successful follow
-    clearCache(`followedMovies_${movieData.UserID}`);
-
-    return response.data;
-  } catch (error) {
-    console.error(
-      "Airtable followMovie error:",
-      error.response?.data || error.message
-    );
-    throw error;
-  }
+  const [record] = await followMovies(airtableUserRecordId, [movieData]);
+  return record;
 }
 
 /**
@@ -123,63 +151,166 @@ async function followMovie(airtableUserRecordId, movieData) {
  * Clears the user's cache after successful operation
  */
 async function unfollowMovie(userId, tmdbId, followType = null) {
-  try {
-    let filterFormula;
-
-    if (followType && followType.toLowerCase() !== "both") {
-      // Specific follow type
-      filterFormula = `AND(
-        {UserID} = "${userId}",
-        {TMDB_ID} = ${tmdbId},
-        {FollowType} = "${followType.toLowerCase()}"
-      )`;
-    } else if (followType && followType.toLowerCase() === "both") {
-      // Both types: theatrical or streaming
-      filterFormula = `AND(
-        {UserID} = "${userId}",
-        {TMDB_ID} = ${tmdbId},
-        OR({FollowType} = "theatrical", {FollowType} = "streaming")
-      )`;
-    } else {
-      // No followType specified: just user and movie
-      filterFormula = `AND(
-        {UserID} = "${userId}",
-        {TMDB_ID} = ${tmdbId}
-      )`;
-    }
-
-    const response = await airtableAxios.get("FollowedMovies", {
-      params: { filterByFormula: filterFormula },
-    });
-
-    const records = response.data.records;
-
-    if (records.length === 0) return false;
-
-    await Promise.all(
-      records.map((record) =>
-        airtableAxios.delete(`FollowedMovies/${record.id}`)
-      )
-    );
-
-    // Clear cache after successfully deleting follow records
-    clearCache(`followedMovies_${userId}`);
-
-    return true;
-  } catch (error) {
-    console.error(
-      "Airtable unfollowMovie error:",
-      error.response?.data || error.message
-    );
-    throw error;
-  }
+  const deletedCount = await store.deleteFollows(userId, tmdbId, followType);
+
+  if (deletedCount === 0) return false;
+
+  // Clear cache after successfully deleting follow records
+  clearCache(`followedMovies_${userId}`);
+
+  return true;
+}
+
+/**
+ * Get follow records due for release on a given day (YYYY-MM-DD)
+ * theatrical follows match ReleaseDate, streaming follows StreamingReleaseDate
+ */
+async function getFollowsReleasingOn(dateStr, followType) {
+  return store.getFollowsReleasingOn(dateStr, followType);
+}
+
+/**
+ * Get follow records the date job should check: still waiting on a
+ * theatrical or streaming date, or with a date on or after options.today
+ */
+async function getFollowsForDateCheck(options = {}) {
+  return store.getFollowsForDateCheck(options);
+}
+
+/**
+ * Get follow records for the weekly digest: releasing between options.from
+ * and options.to, or given a new or moved date since options.since
+ */
+async function getFollowsForWeeklyDigest(options) {
+  return store.getFollowsForWeeklyDigest(options);
+}
+
+/**
+ * Update fields on a follow record (dates, notification state)
+ */
+async function updateFollow(recordId, fields) {
+  const [record] = await updateFollows([{ id: recordId, fields }]);
+  return record;
+}
+
+/**
+ * Update many follow records in batched writes
+ * Clears the owners' cached follows, so new dates show up in My Movies and
+ * calendar feeds straight away
+ * @param {Array<{id: string, fields: Object}>} updates
+ */
+async function updateFollows(updates) {
+  if (updates.length === 0) return [];
+  const records = await store.updateFollows(updates);
+
+  new Set(records.map((record) => record.fields.UserID)).forEach((userId) =>
+    clearCache(`followedMovies_${userId}`)
+  );
+
+  return records;
+}
+
+/**
+ * Get notification log entries by key (see services/notification-log.js)
+ */
+async function getNotificationLogByKeys(keys) {
+  if (keys.length === 0) return [];
+  return store.getNotificationLogByKeys(keys);
+}
+
+/**
+ * Get notification log entries with a given status ("failed", "sending", ...)
+ */
+async function getNotificationLogByStatus(status) {
+  return store.getNotificationLogByStatus(status);
+}
+
+/**
+ * Create new notification log entries and re-claim retried ones as "sending"
+ * @param {Array<Object>} creates - Fields of new entries
+ * @param {Array<{id: string, fields: Object, expected: Object}>} reclaims -
+ * Entries to retry, with the Status and ClaimedAt they were read with
+ * @returns {Promise<[Array<Object|null>, Array<Object|null>]>} Claimed records,
+ * null where another run claimed the entry first (SQLite only)
+ */
+async function claimNotificationLogEntries(creates, reclaims) {
+  if (creates.length === 0 && reclaims.length === 0) return [[], []];
+  return store.claimNotificationLogEntries(creates, reclaims);
+}
+
+/**
+ * Update notification log entries in batched writes
+ * @param {Array<{id: string, fields: Object}>} updates
+ */
+async function updateNotificationLogEntries(updates) {
+  if (updates.length === 0) return [];
+  return store.updateNotificationLogEntries(updates);
+}
+
+/**
+ * Job run history and locking (see services/job-runs.js)
+ */
+async function createJobRun(fields) {
+  return store.createJobRun(fields);
+}
+
+async function updateJobRun(recordId, fields) {
+  return store.updateJobRun(recordId, fields);
+}
+
+/**
+ * Get job runs, newest first
+ * @param {Object} options - { job, lock, status, limit } (all optional)
+ */
+async function getJobRuns(options = {}) {
+  return store.getJobRuns(options);
+}
+
+/**
+ * Feed entry dates by movie (see services/movie-feeds.js)
+ * @param {Array<number>} tmdbIds
+ */
+async function getFeedEntries(tmdbIds) {
+  if (tmdbIds.length === 0) return [];
+  return store.getFeedEntries(tmdbIds);
+}
+
+async function createFeedEntries(fieldsList) {
+  if (fieldsList.length === 0) return [];
+  return store.createFeedEntries(fieldsList);
+}
+
+async function updateFeedEntries(updates) {
+  if (updates.length === 0) return [];
+  return store.updateFeedEntries(updates);
 }
 
 module.exports = {
-  airtableAxios,
   getUsersByEmail,
+  getUserByRecordId,
   createUser,
+  updateUser,
+  deleteAccount,
+  getUserByPasswordResetToken,
+  getUserByCalendarToken,
+  getUsersWithPendingDigest,
   getFollowedMoviesByUserId,
   followMovie,
+  followMovies,
   unfollowMovie,
+  getFollowsReleasingOn,
+  getFollowsForDateCheck,
+  getFollowsForWeeklyDigest,
+  updateFollow,
+  updateFollows,
+  getNotificationLogByKeys,
+  getNotificationLogByStatus,
+  claimNotificationLogEntries,
+  updateNotificationLogEntries,
+  createJobRun,
+  updateJobRun,
+  getJobRuns,
+  getFeedEntries,
+  createFeedEntries,
+  updateFeedEntries,
 };
@@ -0,0 +1,127 @@
+// services/calendar-feed.js
+// Release dates as iCalendar events: personal feeds of followed movies and
+// one-off downloads from the movie details page. For feeds, each user can
+// have a secret token (CalendarToken on their Users record);
+// /calendar/<token>.ics serves their follows as all-day events, so calendar
+// apps that subscribe pick up dates as the date job fills them in.
+const {
+  getUserByCalendarToken,
+  getFollowedMoviesByUserId,
+  updateUser,
+} = require("./airtable");
+const { generateToken } = require("../utils/tokens");
+const { APP_BASE_URL } = require("../utils/app-config");
+const { eventUid, buildCalendar } = require("../utils/ical");
+
+const FEED_REFRESH_INTERVAL = "PT6H"; // Hint to calendar apps, most poll less often anyway
+
+// Release type -> follow record date field and event title
+const RELEASE_EVENTS = {
+  theatrical: { dateField: "ReleaseDate", summary: (title) => `🎬 ${title} in theaters` },
+  streaming: { dateField: "StreamingReleaseDate", summary: (title) => `📺 ${title} streaming` },
+};
+
+/**
+ * Public URL of a calendar feed
+ * @param {string} token - The user's CalendarToken
+ */
+function calendarFeedUrl(token) {
+  return `${APP_BASE_URL}/calendar/${token}.ics`;
+}
+
+/**
+ * Give a user a new feed token, which stops the old URL from working
+ * @param {string} userRecordId - Users record ID
+ * @returns {Promise<string>} The new token
+ */
+async function regenerateCalendarToken(userRecordId) {
+  const token = generateToken(24);
+  await updateUser(userRecordId, { CalendarToken: token });
+  console.log(`[CALENDAR] New feed token for user ${userRecordId}`);
+  return token;
+}
+
+/**
+ * One all-day event per followed release type with a known date
+ * @param {Array<Object>} follows - FollowedMovies records
+ * @returns {Array<Object>} Events for buildCalendar
+ */
+function followsToEvents(follows) {
+  const events = new Map();
+
+  follows.forEach(({ fields }) => {
+    const eventType = RELEASE_EVENTS[fields.FollowType];
+    const date = eventType && fields[eventType.dateField];
+    if (!date || !fields.TMDB_ID) return;
+
+    const movieUrl = `${APP_BASE_URL}/movie/${fields.TMDB_ID}`;
+    const uid = eventUid(fields.TMDB_ID, fields.FollowType);
+    events.set(uid, {
+      uid,
+      date,
+      summary: eventType.summary(fields.Title),
+      description: `Followed on Movie Release Tracker\n${movieUrl}`,
+      url: movieUrl,
+    });
+  });
+
+  return [...events.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Build the calendar for a feed token
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<string|null>} .ics content, or null if no user has this token
+ */
+async function getCalendarFeed(token) {
+  const user = await getUserByCalendarToken(token);
+  if (!user) return null;
+
+  const follows = await getFollowedMoviesByUserId(user.fields.UserID);
+
+  return buildCalendar({
+    name: "Movie Release Tracker",
+    events: followsToEvents(follows),
+    refreshInterval: FEED_REFRESH_INTERVAL,
+  });
+}
+
+/**
+ * Calendar with one movie's release dates, for the movie page download
+ * Event descriptions carry the overview, poster and TMDB link
+ * @param {Object} movie - TMDB movie details (id, title, overview, poster_path)
+ * @param {Object} dates - { theatrical, streaming } in YYYY-MM-DD format, null if unknown
+ * @param {Array<string>} types - Release types to include ("theatrical", "streaming")
+ * @returns {string|null} .ics content, or null if none of the types has a date
+ */
+function buildMovieCalendar(movie, dates, types) {
+  const movieUrl = `${APP_BASE_URL}/movie/${movie.id}`;
+  const description = [
+    movie.overview,
+    movie.poster_path && `Poster: https://image.tmdb.org/t/p/w500${movie.poster_path}`,
+    `TMDB: https://www.themoviedb.org/movie/${movie.id}`,
+    `Movie Release Tracker: ${movieUrl}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const events = types
+    .filter((type) => RELEASE_EVENTS[type] && dates[type])
+    .map((type) => ({
+      uid: eventUid(movie.id, type),
+      date: dates[type],
+      summary: RELEASE_EVENTS[type].summary(movie.title),
+      description,
+      url: movieUrl,
+    }));
+
+  if (events.length === 0) return null;
+  return buildCalendar({ name: movie.title, events });
+}
+
+module.exports = {
+  calendarFeedUrl,
+  regenerateCalendarToken,
+  getCalendarFeed,
+  buildMovieCalendar,
+};
@@ -0,0 +1,527 @@
+// services/date-check.js
+// Date check: fills in missing theatrical/streaming dates from TMDB and spots
+// moved ones. Run by the job scheduler and by /jobs/check-streaming-dates.
+const {
+  getFollowsForDateCheck,
+  updateFollows,
+} = require("./airtable");
+const { getReleaseData } = require("./tmdb");
+const sendEmail = require("./send-email");
+const { generateStreamingDateEmailHTML, generateTheatricalDateEmailHTML, generateDatesBatchEmailHTML, generateDateChangeEmailHTML } = require("./email-templates");
+const { loadRecipients, wantsNotification } = require("./notification-preferences");
+const { queueDigestItems } = require("./notification-digest");
+const { unsubscribeHeaders } = require("./unsubscribe");
+const { sendWebhookNotifications } = require("./webhooks");
+const { sendPushNotifications } = require("./push-notifications");
+
+const DATE_CHECK_BATCH_SIZE = 100; // Movies checked per run; the rest resume next run
+
+// "2025-07-04" -> "July 4, 2025", parsed as a local date to avoid timezone shifts
+function formatEmailDate(dateStr) {
+  const [year, month, day] = dateStr.split('T')[0].split('-');
+  return new Date(year, month - 1, day)
+    .toLocaleDateString('en-US', { 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric' 
+    });
+}
+
+// The stored date is still ahead and TMDB now reports a different day
+function hasDateMoved(storedDate, latestDate, todayStr) {
+  if (!storedDate || !latestDate) return false;
+  const storedDay = storedDate.split('T')[0];
+  return storedDay >= todayStr && storedDay !== latestDate;
+}
+
+/**
+ * Look up missing and moved theatrical/streaming dates for the least recently
+ * checked follows, save them and tell their users
+ * @param {Object} options - { limit: follows to check this run }
+ * @returns {Promise<Object>} Summary of dates found, changed and notified
+ */
+async function runDateCheck({ limit } = {}) {
+  console.log('[DATE-CHECK] Starting date check for missing and changed theatrical or streaming dates...');
+  const todayStr = new Date().toISOString().split('T')[0];
+  
+  // 1. Fetch the next batch of followed movies whose dates might be missing or moved
+  // - Missing theatrical dates (ReleaseDate is empty)
+  // - Missing streaming dates for streaming/both follows (StreamingDateAvailable is false)
+  // - Dates from today onwards, which TMDB may still move (e.g. a postponement)
+  // Least recently checked first, so each run picks up where the last one stopped
+  const batchSize = parseInt(limit) || DATE_CHECK_BATCH_SIZE;
+  const moviesToCheck = await getFollowsForDateCheck({ today: todayStr, maxRecords: batchSize });
+  // A full batch means more follows may be waiting for the next run
+  const batchFull = moviesToCheck.length === batchSize;
+  
+  console.log(`[DATE-CHECK] Checking ${moviesToCheck.length} movies this run${batchFull ? ' (batch full, more may remain)' : ''}`);
+
+  if (moviesToCheck.length === 0) {
+    console.log('[DATE-CHECK] No movies need date updates.');
+    return {
+      message: 'No updates needed', 
+      processed: 0,
+      batchFull: false,
+      theatricalUpdated: 0,
+      streamingUpdated: 0,
+      datesChanged: 0
+    };
+  }
+
+  // Fetch user emails for notifications (with error handling)
+  const userIds = [
+    ...new Set(moviesToCheck.flatMap((m) => m.fields.User || [])),
+  ];
+  
+  console.log(`[DATE-CHECK] Fetching emails for ${userIds.length} unique users`);
+  
+  // Unverified and paused users are skipped
+  const recipients = await loadRecipients(userIds, "DATE-CHECK");
+
+  // 2. Process movies in batches with rate limiting
+  const pendingUpdates = []; // Written in batches once all movies are checked
+  const datedRecordIds = new Set(); // Records that received a new date
+  const emailsSent = [];
+  const movieUpdatesForEmails = []; // Collect all updates for batching
+  const dateChangesForEmails = []; // Moved dates, sent as "date changed" emails
+  const datesChanged = [];
+  let processedCount = 0;
+  let theatricalUpdated = 0;
+  let streamingUpdated = 0;
+  
+  console.log('[DATE-CHECK] Processing movies...');
+
+  for (const movie of moviesToCheck) {
+    try {
+      const tmdbId = movie.fields.TMDB_ID;
+      console.log(`[DATE-CHECK] Checking TMDB ID ${tmdbId} for "${movie.fields.Title}"`);
+      
+      const releaseData = await getReleaseData(tmdbId);
+      const correctTheatricalDate = releaseData.usTheatrical || releaseData.primary;
+      const streamingDateRaw = releaseData.streaming;
+      processedCount++;
+
+      const currentTheatricalDate = movie.fields.ReleaseDate;
+      const followType = movie.fields.FollowType;
+      const hasStreamingDateAvailable = movie.fields.StreamingDateAvailable;
+      
+      const fieldsToUpdate = {};
+      let needsUpdate = false;
+      let updateTypes = [];
+
+      // Check if theatrical date needs updating
+      if (correctTheatricalDate && !currentTheatricalDate) {
+        fieldsToUpdate.ReleaseDate = correctTheatricalDate;
+        needsUpdate = true;
+        updateTypes.push('theatrical');
+        theatricalUpdated++;
+        console.log(`[DATE-CHECK] Found theatrical date for "${movie.fields.Title}": ${correctTheatricalDate}`);
+      }
+
+      // Check if streaming date needs updating (for streaming/both follows)
+      if ((followType === 'streaming' || followType === 'both') && streamingDateRaw && !hasStreamingDateAvailable) {
+        fieldsToUpdate.StreamingReleaseDate = streamingDateRaw;
+        fieldsToUpdate.StreamingDateAvailable = true;
+        needsUpdate = true;
+        updateTypes.push('streaming');
+        streamingUpdated++;
+        console.log(`[DATE-CHECK] Found streaming date for "${movie.fields.Title}": ${streamingDateRaw}`);
+      }
+
+      // Check if a stored date that hasn't passed yet was moved, keeping the
+      // previous value on the record
+      const currentStreamingDate = movie.fields.StreamingReleaseDate;
+      const changes = [];
+      if (hasDateMoved(currentTheatricalDate, correctTheatricalDate, todayStr)) {
+        fieldsToUpdate.ReleaseDate = correctTheatricalDate;
+        fieldsToUpdate.PreviousReleaseDate = currentTheatricalDate;
+        changes.push({ type: 'theatrical', previousDate: currentTheatricalDate, newDate: correctTheatricalDate });
+      }
+      if ((followType === 'streaming' || followType === 'both') && hasStreamingDateAvailable &&
+          hasDateMoved(currentStreamingDate, streamingDateRaw, todayStr)) {
+        fieldsToUpdate.StreamingReleaseDate = streamingDateRaw;
+        fieldsToUpdate.PreviousStreamingReleaseDate = currentStreamingDate;
+        changes.push({ type: 'streaming', previousDate: currentStreamingDate, newDate: streamingDateRaw });
+      }
+      // Only a new date of the followed type counts for the weekly digest
+      if (updateTypes.some(type => followType === type || followType === 'both')) {
+        fieldsToUpdate.DateAnnouncedAt = new Date().toISOString();
+      }
+      if (changes.length > 0) {
+        fieldsToUpdate.DateChangedAt = new Date().toISOString();
+        needsUpdate = true;
+      }
+
+      changes.forEach(change => {
+        console.log(`[DATE-CHECK] ${change.type} date changed for "${movie.fields.Title}": ${change.previousDate} -> ${change.newDate}`);
+        datesChanged.push(`${movie.fields.Title} (${change.type}: ${change.previousDate.split('T')[0]} -> ${change.newDate})`);
+
+        // Only tell users about the date they follow
+        if (followType !== change.type && followType !== 'both') return;
+
+        const userId = movie.fields.User?.[0];
+        const recipient = recipients[userId];
+        if (!recipient) return;
+        if (!wantsNotification(recipient.preferences, 'newDates')) {
+          console.log(`[DATE-CHECK] Date emails turned off for ${recipient.email}, skipping change for "${movie.fields.Title}"`);
+          return;
+        }
+
+        dateChangesForEmails.push({
+          recordId: movie.id,
+          userId,
+          userEmail: recipient.email,
+          type: change.type,
+          title: movie.fields.Title,
+          posterPath: movie.fields.PosterPath,
+          tmdbId: movie.fields.TMDB_ID,
+          previousDate: formatEmailDate(change.previousDate),
+          newDate: formatEmailDate(change.newDate),
+          previousDateRaw: change.previousDate.split('T')[0],
+          newDateRaw: change.newDate
+        });
+      });
+
+      // Stamp every checked record (with or without new dates) so it moves
+      // to the back of the queue for the next run
+      fieldsToUpdate.DatesCheckedAt = new Date().toISOString();
+      pendingUpdates.push({ id: movie.id, fields: fieldsToUpdate });
+      if (needsUpdate) datedRecordIds.add(movie.id);
+      
+      if (updateTypes.length > 0) {
+        // Collect updates for batched email notifications
+        const userId = movie.fields.User?.[0];
+        const recipient = recipients[userId];
+        const userEmail = recipient?.email;
+        
+        if (userEmail && !wantsNotification(recipient.preferences, 'newDates')) {
+          console.log(`[DATE-CHECK] New date emails turned off for ${userEmail}, skipping "${movie.fields.Title}"`);
+        } else if (userEmail && updateTypes.length > 0) {
+          // Add theatrical date update ONLY if this is a theatrical or both follow
+          if (updateTypes.includes('theatrical') && (followType === 'theatrical' || followType === 'both')) {
+            const displayDate = formatEmailDate(correctTheatricalDate);
+            
+            movieUpdatesForEmails.push({
+              recordId: movie.id,
+              userId,
+              userEmail,
+              type: 'theatrical',
+              title: movie.fields.Title,
+              posterPath: movie.fields.PosterPath,
+              theatricalDate: displayDate,
+              dateRaw: correctTheatricalDate,
+              tmdbId: movie.fields.TMDB_ID,
+              followType
+            });
+            console.log(`[DATE-CHECK] Queued theatrical date email for "${movie.fields.Title}" (${followType} follow)`);
+          } else if (updateTypes.includes('theatrical')) {
+            console.log(`[DATE-CHECK] Skipping theatrical email for "${movie.fields.Title}" - user follows ${followType}, not theatrical`);
+          }
+          
+          // Add streaming date update ONLY if this is a streaming or both follow
+          if (updateTypes.includes('streaming') && (followType === 'streaming' || followType === 'both')) {
+            const displayDate = formatEmailDate(streamingDateRaw);
+            
+            movieUpdatesForEmails.push({
+              recordId: movie.id,
+              userId,
+              userEmail,
+              type: 'streaming',
+              title: movie.fields.Title,
+              posterPath: movie.fields.PosterPath,
+              streamingDate: displayDate,
+              dateRaw: streamingDateRaw,
+              tmdbId: movie.fields.TMDB_ID,
+              followType
+            });
+            console.log(`[DATE-CHECK] Queued streaming date email for "${movie.fields.Title}" (${followType} follow)`);
+          } else if (updateTypes.includes('streaming')) {
+            console.log(`[DATE-CHECK] Skipping streaming email for "${movie.fields.Title}" - user follows ${followType}, not streaming`);
+          }
+        }
+      } else if (changes.length === 0) {
+        const missingTypes = [];
+        if (!currentTheatricalDate && !correctTheatricalDate) missingTypes.push('theatrical');
+        if ((followType === 'streaming' || followType === 'both') && !hasStreamingDateAvailable && !streamingDateRaw) missingTypes.push('streaming');
+        
+        if (missingTypes.length > 0) {
+          console.log(`[DATE-CHECK] No ${missingTypes.join(' or ')} date found for "${movie.fields.Title}"`);
+        } else {
+          console.log(`[DATE-CHECK] "${movie.fields.Title}" already has all available dates`);
+        }
+      }
+      
+      // Add small delay to avoid rate limiting
+      if (processedCount % 10 === 0) {
+        console.log(`[DATE-CHECK] Processed ${processedCount}/${moviesToCheck.length} movies`);
+        await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay every 10 requests
+      }
+      
+    } catch (err) {
+      console.error(
+        `[DATE-CHECK] Error checking dates for TMDB ID ${movie.fields.TMDB_ID} ("${movie.fields.Title}"):`,
+        err.message
+      );
+    }
+  }
+
+  // Write all updates in batched requests with error handling
+  console.log(`[DATE-CHECK] Updating ${pendingUpdates.length} records (${datedRecordIds.size} with new dates)...`);
+  
+  let savedRecords = [];
+  let failedUpdates = [];
+  try {
+    savedRecords = await updateFollows(pendingUpdates);
+  } catch (err) {
+    // Batches that succeeded are still reported back on the error
+    savedRecords = err.records || [];
+    failedUpdates = err.failedItems || pendingUpdates;
+    console.error(`[DATE-CHECK] ${failedUpdates.length} record updates failed:`, err.message);
+  }
+  const successfulUpdates = savedRecords.filter(record => datedRecordIds.has(record.id)).length;
+
+  // Only tell users about dates that were saved; an unsaved one is found
+  // again next run and sent then
+  const savedRecordIds = new Set(savedRecords.map(record => record.id));
+  const savedDateUpdates = movieUpdatesForEmails.filter(update => savedRecordIds.has(update.recordId));
+  
+  // Send batched emails for date updates
+  console.log(`[DATE-CHECK] Processing ${savedDateUpdates.length} movie updates for batched emails...`);
+  
+  // Group updates by user email; users on a daily/weekly digest get them queued instead
+  const updatesByUser = {};
+  const digestUpdatesByUser = {};
+  savedDateUpdates.forEach(update => {
+    if (recipients[update.userId].preferences.digest !== 'instant') {
+      if (!digestUpdatesByUser[update.userId]) {
+        digestUpdatesByUser[update.userId] = [];
+      }
+      digestUpdatesByUser[update.userId].push(update);
+      return;
+    }
+
+    if (!updatesByUser[update.userEmail]) {
+      updatesByUser[update.userEmail] = {
+        theatrical: [],
+        streaming: []
+      };
+    }
+    updatesByUser[update.userEmail][update.type].push(update);
+  });
+  
+  const userEmails = Object.keys(updatesByUser);
+  const emailPromises = [];
+  let successfulEmails = 0;
+  let failedEmails = 0;
+  
+  console.log(`[DATE-CHECK] Sending batched date update notifications to ${userEmails.length} users...`);
+  
+  // Send batched emails
+  for (const userEmail of userEmails) {
+    const userUpdates = updatesByUser[userEmail];
+    const theatricalUpdates = userUpdates.theatrical;
+    const streamingUpdates = userUpdates.streaming;
+    const totalUpdates = theatricalUpdates.length + streamingUpdates.length;
+    const headers = unsubscribeHeaders(
+      [...theatricalUpdates, ...streamingUpdates][0].userId,
+      ['newDates']
+    );
+    
+    try {
+      if (totalUpdates === 1) {
+        // Send individual email for single update (maintains existing UX)
+        const update = theatricalUpdates.length > 0 ? theatricalUpdates[0] : streamingUpdates[0];
+        const isStreaming = update.type === 'streaming';
+        const subject = `${isStreaming ? '📺' : '🎬'} ${isStreaming ? 'Streaming' : 'Theatrical'} date added for "${update.title}"`;
+        
+        const htmlContent = isStreaming 
+          ? generateStreamingDateEmailHTML({
+              title: update.title,
+              posterPath: update.posterPath,
+              streamingDate: update.streamingDate,
+              tmdbId: update.tmdbId
+            })
+          : generateTheatricalDateEmailHTML({
+              title: update.title,
+              posterPath: update.posterPath,
+              theatricalDate: update.theatricalDate,
+              tmdbId: update.tmdbId
+            });
+
+        await sendEmail({ to: userEmail, subject, htmlContent, headers });
+        console.log(`[DATE-CHECK] Individual date email sent to ${userEmail} for "${update.title}" (${update.type})`);
+        emailsSent.push(`${update.title} (${update.type})`);
+        successfulEmails++;
+        
+      } else {
+        // Send batched email for multiple updates
+        const theatricalCount = theatricalUpdates.length;
+        const streamingCount = streamingUpdates.length;
+        
+        let subjectText = '';
+        if (theatricalCount > 0 && streamingCount > 0) {
+          subjectText = `📅 New release dates found for ${totalUpdates} movies`;
+        } else if (theatricalCount > 0) {
+          subjectText = `🎬 Theatrical dates added for ${totalUpdates} movies`;
+        } else {
+          subjectText = `📺 Streaming dates added for ${totalUpdates} movies`;
+        }
+
+        const htmlContent = generateDatesBatchEmailHTML({
+          theatricalMovies: theatricalUpdates,
+          streamingMovies: streamingUpdates
+        });
+
+        await sendEmail({ to: userEmail, subject: subjectText, htmlContent, headers });
+        console.log(`[DATE-CHECK] Batch date email sent to ${userEmail} for ${totalUpdates} movies (${theatricalCount} theatrical, ${streamingCount} streaming)`);
+        
+        // Add all updates to the sent list
+        [...theatricalUpdates, ...streamingUpdates].forEach(update => {
+          emailsSent.push(`${update.title} (${update.type})`);
+        });
+        successfulEmails++;
+      }
+    } catch (err) {
+      console.error(
+        `[DATE-CHECK] Failed to send date update email to ${userEmail} for ${totalUpdates} movies:`,
+        err.message
+      );
+      failedEmails++;
+    }
+  }
+  
+  if (failedEmails > 0) {
+    console.error(`[DATE-CHECK] ${failedEmails} batched emails failed to send`);
+  }
+
+  // Send "date changed" emails, one per user, for records that were saved
+  const changesByUser = {};
+  dateChangesForEmails
+    .filter(change => savedRecordIds.has(change.recordId))
+    .forEach(change => {
+      if (recipients[change.userId].preferences.digest !== 'instant') {
+        if (!digestUpdatesByUser[change.userId]) {
+          digestUpdatesByUser[change.userId] = [];
+        }
+        digestUpdatesByUser[change.userId].push({ ...change, kind: 'dateChange' });
+        return;
+      }
+
+      if (!changesByUser[change.userEmail]) {
+        changesByUser[change.userEmail] = [];
+      }
+      changesByUser[change.userEmail].push(change);
+    });
+
+  let changeEmailsSent = 0;
+  for (const [userEmail, changes] of Object.entries(changesByUser)) {
+    const subject = changes.length === 1
+      ? `📅 "${changes[0].title}" has a new ${changes[0].type === 'streaming' ? 'streaming' : 'release'} date`
+      : `📅 Release dates changed for ${changes.length} movies`;
+
+    try {
+      await sendEmail({
+        to: userEmail,
+        subject,
+        htmlContent: generateDateChangeEmailHTML({
+          changes: changes.map(change => ({ ...change, followType: change.type }))
+        }),
+        headers: unsubscribeHeaders(changes[0].userId, ['newDates'])
+      });
+      console.log(`[DATE-CHECK] Date change email sent to ${userEmail} for ${changes.length} movies`);
+      changeEmailsSent++;
+    } catch (err) {
+      console.error(`[DATE-CHECK] Failed to send date change email to ${userEmail}:`, err.message);
+      failedEmails++;
+    }
+  }
+
+  // Queue date updates for users who get a daily/weekly digest
+  let digestQueued = 0;
+  for (const [userId, updates] of Object.entries(digestUpdatesByUser)) {
+    try {
+      await queueDigestItems(
+        recipients[userId].user,
+        updates.map(update => update.kind === 'dateChange'
+          ? {
+              kind: 'dateChange',
+              followType: update.type,
+              title: update.title,
+              posterPath: update.posterPath,
+              tmdbId: update.tmdbId,
+              date: update.newDate,
+              previousDate: update.previousDate
+            }
+          : {
+              kind: 'date',
+              followType: update.type,
+              title: update.title,
+              posterPath: update.posterPath,
+              tmdbId: update.tmdbId,
+              date: update.type === 'streaming' ? update.streamingDate : update.theatricalDate
+            })
+      );
+      digestQueued += updates.length;
+    } catch (err) {
+      console.error(`[DATE-CHECK] Failed to queue digest for user ${userId}:`, err.message);
+    }
+  }
+  
+  // Post new and changed dates to webhooks and push them to browsers,
+  // whether or not the user gets a digest
+  const toAlert = (update, date, previousDate) => ({
+    userId: update.userId,
+    tmdbId: update.tmdbId,
+    title: update.title,
+    posterPath: update.posterPath,
+    followType: update.type,
+    date,
+    previousDate
+  });
+  const newDateAlerts = savedDateUpdates.map(update => toAlert(update, update.dateRaw));
+  const dateChangeAlerts = dateChangesForEmails
+    .filter(change => savedRecordIds.has(change.recordId))
+    .map(change => toAlert(change, change.newDateRaw, change.previousDateRaw));
+
+  const webhooks = { sent: 0, failed: 0 };
+  const pushes = { sent: 0, failed: 0, expired: 0 };
+  for (const [event, alerts] of [['dateAnnounced', newDateAlerts], ['dateChanged', dateChangeAlerts]]) {
+    const webhookResult = await sendWebhookNotifications(event, alerts, recipients, 'DATE-CHECK');
+    webhooks.sent += webhookResult.sent;
+    webhooks.failed += webhookResult.failed;
+
+    const pushResult = await sendPushNotifications(event, alerts, recipients, 'DATE-CHECK');
+    pushes.sent += pushResult.sent;
+    pushes.failed += pushResult.failed;
+    pushes.expired += pushResult.expired;
+  }
+  
+  console.log(`[DATE-CHECK] Completed! Processed: ${processedCount}, Batch full: ${batchFull}, Total Updated: ${successfulUpdates}, Theatrical: ${theatricalUpdated}, Streaming: ${streamingUpdated}, Users Notified: ${successfulEmails}, Dates changed: ${datesChanged.length}, Change emails: ${changeEmailsSent}, Queued for digest: ${digestQueued}, Email Failures: ${failedEmails}, Webhooks sent: ${webhooks.sent}, Webhooks failed: ${webhooks.failed}, Pushes sent: ${pushes.sent}, Pushes failed: ${pushes.failed}, Push subscriptions expired: ${pushes.expired}`);
+
+  return {
+    message: `Date check completed`,
+    processed: processedCount,
+    batchFull,
+    totalUpdated: successfulUpdates,
+    theatricalUpdated,
+    streamingUpdated,
+    datesChanged: datesChanged.length,
+    changeEmailsSent,
+    failed: failedUpdates.length,
+    usersNotified: successfulEmails,
+    emailsFailed: failedEmails,
+    digestQueued,
+    webhooksSent: webhooks.sent,
+    webhooksFailed: webhooks.failed,
+    pushesSent: pushes.sent,
+    pushesFailed: pushes.failed,
+    pushSubscriptionsExpired: pushes.expired,
+    totalMovieUpdates: emailsSent.length,
+    moviesWithNewDates: emailsSent,
+    moviesWithChangedDates: datesChanged
+  };
+}
+
+module.exports = {
+  runDateCheck,
+};
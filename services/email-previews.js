@@ -0,0 +1,164 @@
+// services/email-previews.js
+// Every email template rendered with sample movies, for the admin preview
+// gallery at /api/admin/emails. Sample data mirrors what the jobs pass in.
+const {
+  generateReleaseEmailHTML,
+  generateTheatricalDateEmailHTML,
+  generateStreamingDateEmailHTML,
+  generateReleaseBatchEmailHTML,
+  generateDatesBatchEmailHTML,
+  generateReminderBatchEmailHTML,
+  generateDateChangeEmailHTML,
+  generateNotificationDigestEmailHTML,
+  generateWeeklyDigestEmailHTML,
+  generatePasswordResetEmailHTML,
+  generateVerificationEmailHTML,
+} = require("./email-templates");
+const { APP_BASE_URL } = require("../utils/app-config");
+
+const SAMPLE_MOVIES = [
+  { tmdbId: 693134, title: "Dune: Part Two", posterPath: "/1pdfLvkbY9ohJlCjQH2CZjjYVvJ.jpg" },
+  { tmdbId: 872585, title: "Oppenheimer", posterPath: "/8Gxv8gSFCU0XGDykEGv7zR1n2ua.jpg" },
+  { tmdbId: 346698, title: "Barbie", posterPath: "/iuFNMS8U5cb6xfzi51Dbkovj7vM.jpg" },
+  { tmdbId: 1022789, title: "Inside Out 2", posterPath: null }, // No poster, as some TMDB entries have
+];
+
+const [dune, oppenheimer, barbie, insideOut] = SAMPLE_MOVIES;
+
+// Key -> { label, render }, in the order the gallery lists them
+const EMAIL_PREVIEWS = {
+  release: {
+    label: "Release day (single movie)",
+    render: () =>
+      generateReleaseEmailHTML({ ...dune, releaseDate: "2024-03-01", followType: "theatrical" }),
+  },
+  "release-batch": {
+    label: "Release day (several movies)",
+    render: () =>
+      generateReleaseBatchEmailHTML({
+        date: "2024-03-01",
+        movies: [
+          { ...dune, id: dune.tmdbId, releaseDate: "2024-03-01", followType: "theatrical" },
+          { ...oppenheimer, id: oppenheimer.tmdbId, releaseDate: "2024-03-01", followType: "streaming" },
+          { ...insideOut, id: insideOut.tmdbId, releaseDate: "2024-03-01", followType: "streaming" },
+        ],
+      }),
+  },
+  "theatrical-date": {
+    label: "Theatrical date announced",
+    render: () => generateTheatricalDateEmailHTML({ ...barbie, theatricalDate: "July 21, 2023" }),
+  },
+  "streaming-date": {
+    label: "Streaming date announced",
+    render: () => generateStreamingDateEmailHTML({ ...barbie, streamingDate: "September 12, 2023" }),
+  },
+  "dates-batch": {
+    label: "Release dates announced (several movies)",
+    render: () =>
+      generateDatesBatchEmailHTML({
+        theatricalMovies: [{ ...dune, theatricalDate: "March 1, 2024" }],
+        streamingMovies: [
+          { ...oppenheimer, streamingDate: "November 21, 2023" },
+          { ...insideOut, streamingDate: "September 25, 2024" },
+        ],
+      }),
+  },
+  reminders: {
+    label: "Advance reminders",
+    render: () =>
+      generateReminderBatchEmailHTML({
+        reminders: [
+          { ...dune, id: dune.tmdbId, releaseDate: "2024-03-01", followType: "theatrical", daysUntil: 1 },
+          { ...barbie, id: barbie.tmdbId, releaseDate: "2024-03-07", followType: "streaming", daysUntil: 7 },
+        ],
+      }),
+  },
+  "date-changes": {
+    label: "Release dates changed",
+    render: () =>
+      generateDateChangeEmailHTML({
+        changes: [
+          { ...dune, followType: "theatrical", previousDate: "November 3, 2023", newDate: "March 1, 2024" },
+          { ...insideOut, followType: "streaming", previousDate: "August 20, 2024", newDate: "September 25, 2024" },
+        ],
+      }),
+  },
+  "digest-daily": {
+    label: "Daily digest",
+    render: () =>
+      generateNotificationDigestEmailHTML({
+        frequency: "daily",
+        items: [
+          { ...dune, kind: "release", followType: "theatrical", date: "March 1, 2024" },
+          { ...barbie, kind: "date", followType: "streaming", date: "September 12, 2023" },
+        ],
+      }),
+  },
+  "digest-weekly": {
+    label: "Weekly digest",
+    render: () =>
+      generateNotificationDigestEmailHTML({
+        frequency: "weekly",
+        items: [
+          { ...dune, kind: "release", followType: "theatrical", date: "March 1, 2024" },
+          { ...oppenheimer, kind: "release", followType: "streaming", date: "November 21, 2023" },
+          { ...barbie, kind: "date", followType: "theatrical", date: "July 21, 2023" },
+          { ...insideOut, kind: "dateChange", followType: "streaming", date: "September 25, 2024", previousDate: "August 20, 2024" },
+        ],
+      }),
+  },
+  "weekly-digest": {
+    label: "Week ahead (Sunday summary)",
+    render: () =>
+      generateWeeklyDigestEmailHTML({
+        days: [
+          {
+            label: "Friday, March 1",
+            theatrical: [{ ...dune, kind: "release", followType: "theatrical", date: "March 1, 2024" }],
+            streaming: [{ ...oppenheimer, kind: "release", followType: "streaming", date: "March 1, 2024" }],
+          },
+          {
+            label: "Sunday, March 3",
+            theatrical: [],
+            streaming: [{ ...insideOut, kind: "release", followType: "streaming", date: "March 3, 2024" }],
+          },
+        ],
+        newDates: [
+          { ...barbie, kind: "date", followType: "theatrical", date: "July 21, 2024" },
+          { ...barbie, kind: "dateChange", followType: "streaming", date: "October 12, 2024", previousDate: "September 12, 2024" },
+        ],
+      }),
+  },
+  "password-reset": {
+    label: "Password reset",
+    render: () =>
+      generatePasswordResetEmailHTML({
+        name: "Alex",
+        resetUrl: `${APP_BASE_URL}/auth/reset/sample-token`,
+        expiresInMinutes: 60,
+      }),
+  },
+  verification: {
+    label: "Email verification",
+    render: () =>
+      generateVerificationEmailHTML({
+        name: "Alex",
+        verifyUrl: `${APP_BASE_URL}/auth/verify/sample-token`,
+      }),
+  },
+};
+
+/**
+ * Render one email template with sample data
+ * @param {string} key - A key of EMAIL_PREVIEWS
+ * @returns {string|null} Email HTML, or null for an unknown key
+ */
+function renderEmailPreview(key) {
+  if (!Object.hasOwn(EMAIL_PREVIEWS, key)) return null;
+  return EMAIL_PREVIEWS[key].render();
+}
+
+module.exports = {
+  EMAIL_PREVIEWS,
+  renderEmailPreview,
+};
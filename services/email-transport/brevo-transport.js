@@ -0,0 +1,29 @@
+// services/email-transport/brevo-transport.js
+// Brevo transactional email HTTP API (BREVO_API_KEY)
+const axios = require("axios");
+
+async function send({ from, to, subject, htmlContent, textContent, headers }) {
+  const response = await axios.post(
+    "https://api.brevo.com/v3/smtp/email",
+    {
+      sender: from,
+      to: [{ email: to }],
+      subject,
+      htmlContent,
+      textContent,
+      headers,
+    },
+    {
+      headers: {
+        "api-key": process.env.BREVO_API_KEY,
+        "Content-Type": "application/json",
+      },
+    },
+  );
+  return response.data;
+}
+
+module.exports = {
+  name: "brevo",
+  send,
+};
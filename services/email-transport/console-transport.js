@@ -0,0 +1,15 @@
+// services/email-transport/console-transport.js
+// Development transport: logs each email instead of sending it
+async function send({ from, to, subject, htmlContent, textContent, headers }) {
+  console.log(
+    `[EMAIL] From: ${from.name} <${from.email}> To: ${to} Subject: ${subject} (${htmlContent.length} characters of HTML)`
+  );
+  Object.entries(headers).forEach(([name, value]) => console.log(`[EMAIL] ${name}: ${value}`));
+  console.log(textContent);
+  return { logged: true };
+}
+
+module.exports = {
+  name: "console",
+  send,
+};
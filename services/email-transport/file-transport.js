@@ -0,0 +1,54 @@
+// services/email-transport/file-transport.js
+// Development transport: writes each email to EMAIL_OUTPUT_DIR (defaults to
+// data/emails) as a .eml file, which mail clients can open, plus .html and
+// .txt files for previewing each part. Nothing is sent.
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const outputDir =
+  process.env.EMAIL_OUTPUT_DIR ||
+  path.join(__dirname, "..", "..", "data", "emails");
+
+// Builds the raw message instead of delivering it
+const messageBuilder = nodemailer.createTransport({
+  streamTransport: true,
+  buffer: true,
+});
+
+// "2025-07-04T12-00-00-000Z-a-x-io-the-movie-is-now"
+function fileBaseName(to, subject) {
+  const slug = `${to}-${subject}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${new Date().toISOString().replace(/[:.]/g, "-")}-${slug}`;
+}
+
+async function send({ from, to, subject, htmlContent, textContent, headers }) {
+  const info = await messageBuilder.sendMail({
+    from: { name: from.name, address: from.email },
+    to,
+    subject,
+    html: htmlContent,
+    text: textContent,
+    headers,
+  });
+
+  const baseName = fileBaseName(to, subject);
+  await fs.mkdir(outputDir, { recursive: true });
+  await Promise.all([
+    fs.writeFile(path.join(outputDir, `${baseName}.eml`), info.message),
+    fs.writeFile(path.join(outputDir, `${baseName}.html`), htmlContent),
+    fs.writeFile(path.join(outputDir, `${baseName}.txt`), textContent),
+  ]);
+
+  console.log(`[EMAIL] Wrote "${subject}" for ${to} to ${path.join(outputDir, baseName)}.eml`);
+  return { messageId: info.messageId, file: `${baseName}.eml` };
+}
+
+module.exports = {
+  name: "file",
+  send,
+};
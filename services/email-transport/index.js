@@ -0,0 +1,28 @@
+/**
+ * Email transport selection
+ * EMAIL_TRANSPORT=brevo (default), smtp, file or console
+ *
+ * Every transport exposes the same interface:
+ *   send(message) -> Promise
+ *   message: { from: { name, email }, to, subject, htmlContent, textContent, headers }
+ *
+ * Use "file" or "console" to run the app and jobs locally without sending
+ * real mail.
+ */
+
+const transports = {
+  brevo: () => require("./brevo-transport"),
+  smtp: () => require("./smtp-transport"),
+  file: () => require("./file-transport"),
+  console: () => require("./console-transport"),
+};
+
+const transportName = (process.env.EMAIL_TRANSPORT || "brevo").toLowerCase();
+
+if (!transports[transportName]) {
+  throw new Error(
+    `Unknown EMAIL_TRANSPORT "${transportName}" (expected: ${Object.keys(transports).join(", ")})`
+  );
+}
+
+module.exports = transports[transportName]();
@@ -0,0 +1,41 @@
+// services/email-transport/smtp-transport.js
+// Any SMTP server: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE
+// ("true" for implicit TLS, usually port 465), SMTP_USER, SMTP_PASS
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required when EMAIL_TRANSPORT=smtp");
+  }
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return transporter;
+}
+
+async function send({ from, to, subject, htmlContent, textContent, headers }) {
+  const info = await getTransporter().sendMail({
+    from: { name: from.name, address: from.email },
+    to,
+    subject,
+    html: htmlContent,
+    text: textContent,
+    headers,
+  });
+  return { messageId: info.messageId };
+}
+
+module.exports = {
+  name: "smtp",
+  send,
+};
@@ -0,0 +1,191 @@
+// services/job-runs.js
+// Run history and locking for the background jobs. Every run, scheduled or
+// triggered over HTTP, is recorded in JobRuns with its start and end time, the
+// counts from its summary and any error. The same records act as the lock:
+// when several app instances start a job at once, the earliest "running"
+// record wins and the others record themselves as skipped. Jobs that must not
+// overlap each other share a lock name; by default each job has its own.
+// While a job runs it refreshes HeartbeatAt on its record, so a long run keeps
+// its lock and only one whose instance died lets it go.
+const os = require("os");
+const { createJobRun, updateJobRun, getJobRuns } = require("./airtable");
+
+const JOB_RUN_STATUS = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  SKIPPED: "skipped", // Another instance held the lock
+};
+
+const HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
+// A "running" record with no heartbeat for this long was left by an instance
+// that died mid-run (a few missed heartbeats, so one slow write doesn't count)
+const LOCK_TIMEOUT_MS = 20 * 60 * 1000;
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Numbers from a job summary, flattened for the Counts field
+ * { sent: 2, reminders: { sent: 1 }, releases: [...] } -> { sent: 2, "reminders.sent": 1 }
+ */
+function summarizeCounts(summary, prefix = "") {
+  if (!summary || typeof summary !== "object" || Array.isArray(summary)) return {};
+
+  return Object.entries(summary).reduce((counts, [key, value]) => {
+    if (typeof value === "number") {
+      counts[`${prefix}${key}`] = value;
+    } else {
+      Object.assign(counts, summarizeCounts(value, `${prefix}${key}.`));
+    }
+    return counts;
+  }, {});
+}
+
+function runFromRecord(record) {
+  const { fields } = record;
+  let counts = {};
+  try {
+    counts = fields.Counts ? JSON.parse(fields.Counts) : {};
+  } catch (err) {
+    // Hand-edited or truncated; the rest of the run is still worth showing
+  }
+
+  return {
+    runId: record.id,
+    job: fields.Job,
+    trigger: fields.Trigger,
+    status: fields.Status,
+    startedAt: fields.StartedAt,
+    finishedAt: fields.FinishedAt,
+    durationMs: fields.DurationMs,
+    counts,
+    error: fields.Error,
+    lock: fields.Lock,
+    instance: fields.Instance,
+    heartbeatAt: fields.HeartbeatAt,
+  };
+}
+
+/**
+ * The run that holds a lock: the earliest live "running" record.
+ * Ones without a recent heartbeat are marked failed on the way so they stop
+ * showing as running.
+ */
+async function findLockHolder(lock, now) {
+  const running = await getJobRuns({ lock, status: JOB_RUN_STATUS.RUNNING });
+
+  const live = [];
+  for (const record of running) {
+    const lastSeen = new Date(record.fields.HeartbeatAt || record.fields.StartedAt);
+    if (!isNaN(lastSeen.getTime()) && now - lastSeen < LOCK_TIMEOUT_MS) {
+      live.push(record);
+      continue;
+    }
+    try {
+      await updateJobRun(record.id, {
+        Status: JOB_RUN_STATUS.FAILED,
+        Error: "Never finished (the instance running it stopped)",
+      });
+    } catch (err) {
+      console.error(`[JOBS] Failed to expire stale ${record.fields.Job} run ${record.id}:`, err.message);
+    }
+  }
+
+  // Same start time on two instances: the record ID breaks the tie
+  live.sort(
+    (a, b) =>
+      a.fields.StartedAt.localeCompare(b.fields.StartedAt) || a.id.localeCompare(b.id)
+  );
+  return live[0] || null;
+}
+
+/**
+ * Run a job under its lock and record the run
+ * @param {string} job - Job name, e.g. "check-releases"
+ * @param {string} trigger - "schedule" or "http"
+ * @param {Function} run - Async function returning the job's summary object
+ * @param {Object} options - { lock: lock name, defaults to the job name }
+ * @returns {Promise<{run: Object, summary: Object|null, error: Error|null}>}
+ * run is the recorded run (see runFromRecord); summary is null when the run
+ * was skipped or failed
+ */
+async function runJob(job, trigger, run, { lock = job } = {}) {
+  const startedAt = new Date();
+  const record = await createJobRun({
+    Job: job,
+    Trigger: trigger,
+    Status: JOB_RUN_STATUS.RUNNING,
+    StartedAt: startedAt.toISOString(),
+    HeartbeatAt: startedAt.toISOString(),
+    Lock: lock,
+    Instance: INSTANCE,
+  });
+
+  const holder = await findLockHolder(lock, startedAt);
+  if (holder && holder.id !== record.id) {
+    const reason = `${holder.fields.Job} is running on ${holder.fields.Instance} since ${holder.fields.StartedAt}`;
+    console.log(`[JOBS] Skipping ${job} (${trigger}): ${reason}`);
+    const skipped = await updateJobRun(record.id, {
+      Status: JOB_RUN_STATUS.SKIPPED,
+      FinishedAt: new Date().toISOString(),
+      Error: reason,
+    });
+    return { run: runFromRecord(skipped), summary: null, error: null };
+  }
+
+  console.log(`[JOBS] Starting ${job} (${trigger}) as run ${record.id}`);
+  const heartbeat = setInterval(() => {
+    updateJobRun(record.id, { HeartbeatAt: new Date().toISOString() }).catch((err) => {
+      console.error(`[JOBS] Failed to refresh the heartbeat of ${job} run ${record.id}:`, err.message);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  let summary = null;
+  let error = null;
+  try {
+    summary = await run();
+  } catch (err) {
+    console.error(`[JOBS] ${job} failed:`, err.message);
+    console.error(err.stack);
+    error = err;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  const fields = {
+    Status: error ? JOB_RUN_STATUS.FAILED : JOB_RUN_STATUS.SUCCEEDED,
+    FinishedAt: finishedAt.toISOString(),
+    DurationMs: finishedAt - startedAt,
+    Counts: JSON.stringify(summarizeCounts(summary)),
+    Error: error ? error.message : null,
+  };
+
+  // The job itself is done either way; losing the record only costs history
+  let finished = { ...record, fields: { ...record.fields, ...fields } };
+  try {
+    finished = await updateJobRun(record.id, fields);
+  } catch (err) {
+    console.error(`[JOBS] Failed to record the end of ${job} run ${record.id}:`, err.message);
+  }
+
+  console.log(`[JOBS] Finished ${job} (${trigger}) in ${fields.DurationMs}ms: ${fields.Status}`);
+  return { run: runFromRecord(finished), summary, error };
+}
+
+/**
+ * Recent job runs, newest first
+ * @param {Object} options - { job, status, limit } (all optional)
+ * @returns {Promise<Array<Object>>} Runs (see runFromRecord)
+ */
+async function getRecentJobRuns(options = {}) {
+  const records = await getJobRuns(options);
+  return records.map(runFromRecord);
+}
+
+module.exports = {
+  JOB_RUN_STATUS,
+  runJob,
+  getRecentJobRuns,
+};
@@ -0,0 +1,97 @@
+// services/job-scheduler.js
+// The background jobs and their in-process schedule. Each job can be given a
+// cron expression in its SCHEDULE_* environment variable; jobs without one
+// only run when triggered over HTTP (routes/jobs.js). Either way they go
+// through runJob (services/job-runs.js), so each run is locked and recorded.
+const cron = require("node-cron");
+const { runJob } = require("./job-runs");
+const { runReleaseCheck } = require("./release-check");
+const { runDateCheck } = require("./date-check");
+const { PENDING_DIGEST_LOCK, sendDueDigests } = require("./notification-digest");
+const { sendWeeklyDigests } = require("./weekly-digest");
+const { NOTIFICATION_LOG_LOCK } = require("./notification-log");
+const { normalizeTimeZone, DEFAULT_TIME_ZONE } = require("../utils/date-helpers");
+
+/**
+ * Every job by name (also its /jobs/<name> path)
+ * run receives the HTTP trigger's query options; scheduled runs get none.
+ * lock, if set, is shared with other jobs that must not run at the same time
+ */
+const JOBS = {
+  "check-releases": {
+    scheduleEnv: "SCHEDULE_CHECK_RELEASES",
+    lock: NOTIFICATION_LOG_LOCK, // Claims release and reminder notifications, queues digest items
+    run: () => runReleaseCheck(),
+  },
+  "check-streaming-dates": {
+    scheduleEnv: "SCHEDULE_CHECK_STREAMING_DATES",
+    lock: PENDING_DIGEST_LOCK, // Queues digest items
+    run: ({ limit } = {}) => runDateCheck({ limit }),
+  },
+  "send-digests": {
+    scheduleEnv: "SCHEDULE_SEND_DIGESTS",
+    lock: PENDING_DIGEST_LOCK, // Clears sent digest items
+    run: async () => {
+      const summary = await sendDueDigests();
+      console.log(`[DIGEST] Completed! Sent: ${summary.sent}, Not due: ${summary.notDue}, Skipped: ${summary.skipped}, Failed: ${summary.failed}`);
+      return { message: "Digest run completed", ...summary };
+    },
+  },
+  "weekly-digest": {
+    scheduleEnv: "SCHEDULE_WEEKLY_DIGEST",
+    lock: PENDING_DIGEST_LOCK, // Clears digest items for weekly digest users
+    // dryRun returns the emails that would be sent without sending or saving anything
+    run: async ({ dryRun = false } = {}) => {
+      const summary = await sendWeeklyDigests({ dryRun });
+      console.log(`[WEEKLY-DIGEST] Completed! ${dryRun ? `Would send: ${summary.digests.length}` : `Sent: ${summary.sent}`}, Not due: ${summary.notDue}, Failed: ${summary.failed}`);
+      return {
+        message: dryRun ? "Weekly digest dry run completed, nothing was sent" : "Weekly digest run completed",
+        dryRun,
+        ...summary,
+      };
+    },
+  },
+};
+
+/**
+ * Schedule every job that has a cron expression configured
+ * Expressions are read in SCHEDULE_TIMEZONE (default UTC)
+ */
+function startJobScheduler() {
+  const timezone = process.env.SCHEDULE_TIMEZONE
+    ? normalizeTimeZone(process.env.SCHEDULE_TIMEZONE)
+    : DEFAULT_TIME_ZONE;
+  if (!timezone) {
+    console.error(`[SCHEDULER] Unknown SCHEDULE_TIMEZONE "${process.env.SCHEDULE_TIMEZONE}", no jobs scheduled`);
+    return;
+  }
+
+  Object.entries(JOBS).forEach(([job, { scheduleEnv, lock, run }]) => {
+    const expression = process.env[scheduleEnv]?.trim();
+    if (!expression) return;
+
+    if (!cron.validate(expression)) {
+      console.error(`[SCHEDULER] Invalid ${scheduleEnv} "${expression}", ${job} not scheduled`);
+      return;
+    }
+
+    const task = cron.schedule(
+      expression,
+      async () => {
+        try {
+          await runJob(job, "schedule", () => run(), { lock });
+        } catch (err) {
+          // Only reached when the run couldn't be recorded at all
+          console.error(`[SCHEDULER] Could not start ${job}:`, err.message);
+        }
+      },
+      { name: job, timezone, noOverlap: true }
+    );
+    console.log(`[SCHEDULER] Scheduled ${job} at "${expression}" (${timezone}), next run ${task.getNextRun()?.toISOString()}`);
+  });
+}
+
+module.exports = {
+  JOBS,
+  startJobScheduler,
+};
@@ -0,0 +1,245 @@
+// services/movie-feeds.js
+// RSS/Atom feeds of the /upcoming and /top-releases lists, with the same
+// sort and genre options as the pages.
+//
+// Feed readers surface an entry once per guid, so each movie keeps its page
+// URL as the ID and a published date that doesn't move between refreshes.
+// Top releases are dated by their streaming release; upcoming movies by when
+// a feed first listed them, with the updated date bumped if the release
+// dates change afterwards.
+const moviePaginationService = require("./movie-pagination");
+const { getTopReleases } = require("./top-releases");
+const { getGenres } = require("./tmdb");
+const { getCachedData, setCachedData } = require("./cache");
+const { getFeedEntries, createFeedEntries, updateFeedEntries } = require("./airtable");
+const { APP_BASE_URL } = require("../utils/app-config");
+
+const FEED_SIZE = 20; // Same as the first page of each list
+const ENTRY_CACHE_TTL = 60 * 60 * 24 * 90; // 90 days, longer than a movie stays upcoming
+
+// An entry's updated date is bumped when this changes
+const entryDateKey = (movie) => `${movie.release_date || ""}|${movie.streamingDateRaw || ""}`;
+
+const FEED_FORMATS = {
+  rss: { extension: "rss", contentType: "application/rss+xml", label: "RSS" },
+  atom: { extension: "atom", contentType: "application/atom+xml", label: "Atom" },
+};
+
+function toEntryDates(entry) {
+  return { published: new Date(entry.published), updated: new Date(entry.updated) };
+}
+
+/**
+ * Entry dates from the first time any feed listed each movie, for lists with
+ * no release date to go by. They're kept in the FeedEntries table so a
+ * restart doesn't show every entry as new again; the cache saves the lookup.
+ * @param {Array<Object>} movies
+ * @returns {Promise<Map<number, {published: Date, updated: Date}>>} By movie ID
+ */
+async function firstSeenDates(movies) {
+  const dates = new Map();
+  const unseen = [];
+  movies.forEach((movie) => {
+    const entry = getCachedData(`feedEntry_${movie.id}`);
+    if (entry && entry.dateKey === entryDateKey(movie)) {
+      dates.set(movie.id, toEntryDates(entry));
+    } else {
+      unseen.push(movie);
+    }
+  });
+  if (unseen.length === 0) return dates;
+
+  // Two feeds listing a new movie at once can both create its entry; the
+  // earliest one wins
+  const records = await getFeedEntries(unseen.map((movie) => movie.id));
+  const recordsById = new Map();
+  records
+    .sort((a, b) => (b.fields.PublishedAt || "").localeCompare(a.fields.PublishedAt || ""))
+    .forEach((record) => recordsById.set(Number(record.fields.TMDB_ID), record));
+
+  const now = new Date().toISOString();
+  const creates = [];
+  const updates = [];
+  const entries = unseen.map((movie) => {
+    const dateKey = entryDateKey(movie);
+    const record = recordsById.get(movie.id);
+    if (!record) {
+      creates.push({ TMDB_ID: movie.id, DateKey: dateKey, PublishedAt: now, UpdatedAt: now });
+      return { movie, entry: { dateKey, published: now, updated: now } };
+    }
+
+    const { DateKey, PublishedAt, UpdatedAt } = record.fields;
+    if (DateKey === dateKey) {
+      return { movie, entry: { dateKey, published: PublishedAt, updated: UpdatedAt } };
+    }
+    updates.push({ id: record.id, fields: { DateKey: dateKey, UpdatedAt: now } });
+    return { movie, entry: { dateKey, published: PublishedAt, updated: now } };
+  });
+
+  let saved = true;
+  try {
+    await Promise.all([createFeedEntries(creates), updateFeedEntries(updates)]);
+  } catch (error) {
+    // The feed still goes out; only caching is skipped, so the next request retries
+    console.error("[FEEDS] Failed to save feed entry dates:", error.message);
+    saved = false;
+  }
+
+  entries.forEach(({ movie, entry }) => {
+    if (saved) setCachedData(`feedEntry_${movie.id}`, entry, ENTRY_CACHE_TTL);
+    dates.set(movie.id, toEntryDates(entry));
+  });
+  return dates;
+}
+
+// List -> page details, sort options (first is the default), loader and the
+// release date an entry is dated by (null: when a feed first listed it)
+const MOVIE_FEEDS = {
+  upcoming: {
+    title: "Upcoming Movies",
+    description: "Movies coming soon to theaters and streaming",
+    path: "/upcoming",
+    sortOptions: {
+      popularity: "Most Popular",
+      release_date_asc: "Soonest First",
+      release_date_desc: "Furthest First",
+    },
+    load: async (sortBy, genre) =>
+      (await moviePaginationService.getSortedPage(sortBy, 1, FEED_SIZE, [], genre)).movies,
+    releaseDate: () => null,
+  },
+  "top-releases": {
+    title: "Top Streaming Releases",
+    description: "Movies that recently arrived on streaming and digital",
+    path: "/top-releases",
+    sortOptions: {
+      popularity: "Most Popular",
+      rating: "Highest Rated",
+      newest: "Newest First",
+    },
+    load: async (sortBy, genre) => (await getTopReleases({ sortBy, genre, limit: FEED_SIZE })).movies,
+    releaseDate: (movie) =>
+      movie.streamingDateRaw ? new Date(`${movie.streamingDateRaw}T00:00:00Z`) : null,
+  },
+};
+
+/**
+ * Sort and genre from a query string, falling back to the list defaults
+ * @param {string} list - A key of MOVIE_FEEDS
+ * @param {Object} query - req.query
+ * @returns {{sortBy: string, genre: string|null}}
+ */
+function resolveFeedOptions(list, query) {
+  const { sortOptions } = MOVIE_FEEDS[list];
+  const sortBy = Object.hasOwn(sortOptions, query.sort) ? query.sort : Object.keys(sortOptions)[0];
+  const genre = /^\d+$/.test(query.genre || "") ? query.genre : null;
+  return { sortBy, genre };
+}
+
+/**
+ * Path of a list feed, leaving out options that are the default
+ * @param {string} list - A key of MOVIE_FEEDS
+ * @param {string} format - "rss" or "atom"
+ * @param {{sortBy: string, genre: string|null}} options
+ */
+function feedPath(list, format, { sortBy, genre }) {
+  const params = new URLSearchParams();
+  if (sortBy && sortBy !== Object.keys(MOVIE_FEEDS[list].sortOptions)[0]) params.set("sort", sortBy);
+  if (genre) params.set("genre", genre);
+
+  const query = params.toString();
+  return `${MOVIE_FEEDS[list].path}.${FEED_FORMATS[format].extension}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Feed links for a list page, for <link rel="alternate"> and the page footer
+ * @param {string} list - A key of MOVIE_FEEDS
+ * @param {{sortBy: string, genre: string|null}} options - The page's current options
+ * @returns {Array<{label: string, type: string, href: string}>}
+ */
+function feedLinks(list, options) {
+  return Object.keys(FEED_FORMATS).map((format) => ({
+    label: FEED_FORMATS[format].label,
+    type: FEED_FORMATS[format].contentType,
+    href: feedPath(list, format, options),
+  }));
+}
+
+// Title with the genre and sort, e.g. "Upcoming Movies: Horror, Soonest First"
+async function feedTitle(list, { sortBy, genre }) {
+  const { title, sortOptions } = MOVIE_FEEDS[list];
+  const qualifiers = [];
+
+  if (genre) {
+    const { genres = [] } = await getGenres();
+    const match = genres.find((g) => String(g.id) === genre);
+    if (match) qualifiers.push(match.name);
+  }
+  if (sortBy !== Object.keys(sortOptions)[0]) qualifiers.push(sortOptions[sortBy]);
+
+  return qualifiers.length > 0 ? `${title}: ${qualifiers.join(", ")}` : title;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function movieToItem(movie, entryDates) {
+  const movieUrl = `${APP_BASE_URL}/movie/${movie.id}`;
+  const dates = [
+    movie.theatricalFormatted && `In theaters ${movie.theatricalFormatted}`,
+    movie.streamingFormatted && `Streaming ${movie.streamingFormatted}`,
+  ].filter(Boolean);
+  const summary = dates.length > 0 ? dates.join(" · ") : "Release date to be announced";
+
+  const html = [
+    movie.poster_path &&
+      `<p><img src="https://image.tmdb.org/t/p/w342${movie.poster_path}" alt="" width="342"/></p>`,
+    `<p><strong>${escapeHtml(summary)}</strong></p>`,
+    movie.overview && `<p>${escapeHtml(movie.overview)}</p>`,
+  ]
+    .filter(Boolean)
+    .join("");
+
+  return {
+    id: movieUrl,
+    title: movie.title,
+    link: movieUrl,
+    summary,
+    html,
+    ...entryDates,
+  };
+}
+
+/**
+ * Everything buildRssFeed/buildAtomFeed need for one list
+ * @param {string} list - A key of MOVIE_FEEDS
+ * @param {string} format - "rss" or "atom", for the feed's own URL
+ * @param {{sortBy: string, genre: string|null}} options - From resolveFeedOptions
+ * @returns {Promise<Object>} Feed object
+ */
+async function getMovieFeed(list, format, options) {
+  const { description, path, load, releaseDate } = MOVIE_FEEDS[list];
+  const movies = (await load(options.sortBy, options.genre)).slice(0, FEED_SIZE);
+  const firstSeen = await firstSeenDates(movies.filter((movie) => !releaseDate(movie)));
+  const pageQuery = feedPath(list, format, options).split("?")[1];
+
+  return {
+    title: await feedTitle(list, options),
+    description,
+    link: `${APP_BASE_URL}${path}${pageQuery ? `?${pageQuery}` : ""}`,
+    selfUrl: `${APP_BASE_URL}${feedPath(list, format, options)}`,
+    items: movies.map((movie) => {
+      const released = releaseDate(movie);
+      return movieToItem(movie, released ? { published: released, updated: released } : firstSeen.get(movie.id));
+    }),
+  };
+}
+
+module.exports = {
+  MOVIE_FEEDS,
+  FEED_FORMATS,
+  resolveFeedOptions,
+  feedLinks,
+  getMovieFeed,
+};
@@ -0,0 +1,202 @@
+// services/notification-digest.js
+// Daily/weekly digests: the release and date jobs queue notifications on the
+// user record (Users.PendingDigest) instead of emailing, and sendDueDigests
+// sends each user one email once their digest interval has passed.
+const { v4: uuidv4 } = require("uuid");
+const {
+  getUserByRecordId,
+  updateUser,
+  getUsersWithPendingDigest,
+} = require("./airtable");
+const {
+  getNotificationPreferences,
+  wantsNotification,
+} = require("./notification-preferences");
+const sendEmail = require("./send-email");
+const { generateNotificationDigestEmailHTML } = require("./email-templates");
+const { unsubscribeHeaders } = require("./unsubscribe");
+const { isEmailVerified } = require("./verification-email");
+const { NOTIFICATION_LOG_LOCK } = require("./notification-log");
+
+const HOUR_MS = 60 * 60 * 1000;
+// A little under a day/week, so a cron that fires a few minutes early still sends
+const DIGEST_INTERVALS_MS = {
+  daily: 24 * HOUR_MS - HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS - HOUR_MS,
+};
+
+/**
+ * Notifications waiting in a user's digest
+ * @param {Object} user - User record
+ * @returns {Array<Object>} Digest items
+ */
+function getPendingDigest(user) {
+  try {
+    const items = JSON.parse(user.fields.PendingDigest || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    console.warn(`[DIGEST] Invalid PendingDigest JSON for user ${user.id}, discarding`);
+    return [];
+  }
+}
+
+// Items queued before they had an id are matched by their content
+function digestItemKey(item) {
+  return item.id || JSON.stringify(item);
+}
+
+// Job lock (see services/job-runs.js) held by every job that queues or sends
+// digest items, since the writes below are only serialized within one
+// instance. The release check and the re-drive also claim notifications, so
+// it's the notification log's lock.
+const PENDING_DIGEST_LOCK = NOTIFICATION_LOG_LOCK;
+
+// Digest writes in progress, by user, so changes from this instance are
+// applied one at a time instead of overwriting each other
+const digestWrites = new Map();
+
+/**
+ * Change a user's pending digest against a fresh copy of their record, so
+ * items another job queued since the caller loaded the user are kept
+ * @param {string} userRecordId - Users record ID
+ * @param {Function} change - (items) => { items, fields } with the new list
+ * and any other fields to save alongside it
+ */
+function updatePendingDigest(userRecordId, change) {
+  const previous = digestWrites.get(userRecordId) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(async () => {
+      const user = await getUserByRecordId(userRecordId);
+      if (!user) return null;
+
+      const { items, fields = {} } = change(getPendingDigest(user));
+      return updateUser(userRecordId, {
+        ...fields,
+        PendingDigest: items.length > 0 ? JSON.stringify(items) : null,
+      });
+    });
+
+  digestWrites.set(userRecordId, write);
+  write.finally(() => {
+    if (digestWrites.get(userRecordId) === write) digestWrites.delete(userRecordId);
+  }).catch(() => {});
+  return write;
+}
+
+/**
+ * Add notifications to a user's digest
+ * Items: { kind: "release"|"date"|"dateChange", followType: "theatrical"|"streaming",
+ *          title, posterPath, tmdbId, date, previousDate? }
+ * @param {Object} user - User record, as loaded by the calling job
+ * @param {Array<Object>} items - Digest items
+ */
+async function queueDigestItems(user, items) {
+  const queuedAt = new Date().toISOString();
+  const queued = items.map((item) => ({ ...item, id: uuidv4(), queuedAt }));
+
+  return updatePendingDigest(user.id, (pending) => ({ items: [...pending, ...queued] }));
+}
+
+/**
+ * Remove the items a digest run handled from a user's digest, keeping any
+ * queued since the run read it
+ * @param {string} userRecordId - Users record ID
+ * @param {Array<Object>} handled - Items sent (or dropped) by the run
+ * @param {Object} [fields] - Other user fields to save, e.g. LastDigestSentAt
+ */
+async function removeDigestItems(userRecordId, handled, fields = {}) {
+  const handledKeys = new Set(handled.map(digestItemKey));
+  return updatePendingDigest(userRecordId, (pending) => ({
+    items: pending.filter((item) => !handledKeys.has(digestItemKey(item))),
+    fields,
+  }));
+}
+
+/**
+ * Whether a user's digest interval has passed since their last digest
+ */
+function isDigestDue(user, preferences, now) {
+  const interval = DIGEST_INTERVALS_MS[preferences.digest];
+  if (!interval) return true; // Switched back to instant: flush what's queued
+
+  const lastSent = new Date(user.fields.LastDigestSentAt);
+  if (isNaN(lastSent.getTime())) return true;
+
+  return now - lastSent >= interval;
+}
+
+// Preference (and unsubscribe category) behind a digest item
+function itemCategory(item) {
+  return item.kind === "release" ? item.followType : "newDates";
+}
+
+// Only send what the user still wants, in case settings changed since queueing
+function filterByPreferences(items, preferences) {
+  return items.filter((item) => wantsNotification(preferences, itemCategory(item)));
+}
+
+/**
+ * Send every digest that is due
+ * @param {Object} options - { now: Date }
+ * @returns {Promise<Object>} Summary of sent, skipped and failed digests
+ */
+async function sendDueDigests({ now = new Date() } = {}) {
+  const users = await getUsersWithPendingDigest();
+  console.log(`[DIGEST] ${users.length} users have pending digest items`);
+
+  const summary = { usersChecked: users.length, sent: 0, notDue: 0, skipped: 0, failed: 0, digests: [] };
+
+  for (const user of users) {
+    const preferences = getNotificationPreferences(user);
+
+    if (!isEmailVerified(user) || preferences.paused) {
+      summary.skipped++;
+      continue;
+    }
+
+    if (!isDigestDue(user, preferences, now)) {
+      summary.notDue++;
+      continue;
+    }
+
+    // Items the user has since turned off are dropped along with those sent
+    const pending = getPendingDigest(user);
+    const items = filterByPreferences(pending, preferences);
+
+    try {
+      const fields = {};
+
+      if (items.length > 0) {
+        const frequency = preferences.digest === "weekly" ? "weekly" : "daily";
+        await sendEmail({
+          to: user.fields.Email,
+          subject: `🗞️ Your ${frequency} movie digest: ${items.length} ${items.length === 1 ? "update" : "updates"}`,
+          htmlContent: generateNotificationDigestEmailHTML({ items, frequency }),
+          headers: unsubscribeHeaders(user.id, items.map(itemCategory)),
+        });
+        console.log(`[DIGEST] Sent ${frequency} digest to ${user.fields.Email} with ${items.length} items`);
+        summary.sent++;
+        summary.digests.push({ email: user.fields.Email, items: items.length });
+        fields.LastDigestSentAt = now.toISOString();
+      }
+
+      await removeDigestItems(user.id, pending, fields);
+    } catch (err) {
+      console.error(`[DIGEST] Failed to send digest to ${user.fields.Email}:`, err.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  PENDING_DIGEST_LOCK,
+  getPendingDigest,
+  itemCategory,
+  filterByPreferences,
+  queueDigestItems,
+  removeDigestItems,
+  sendDueDigests,
+};
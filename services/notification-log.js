@@ -0,0 +1,186 @@
+// services/notification-log.js
+// Delivery ledger for release notifications. Every email (or digest item) is
+// logged under a key of user, movie, follow type and event date, so a job that
+// runs twice for the same day skips what was already sent, and failed sends
+// stay on record for the admin re-drive endpoint.
+const {
+  getNotificationLogByKeys,
+  getNotificationLogByStatus,
+  claimNotificationLogEntries,
+  updateNotificationLogEntries,
+} = require("./airtable");
+
+const NOTIFICATION_STATUS = {
+  SENDING: "sending", // Claimed by a running job
+  SENT: "sent",
+  QUEUED: "queued", // Added to the user's daily/weekly digest
+  FAILED: "failed",
+  SKIPPED: "skipped", // Dropped on re-drive (user gone, paused or too late)
+  EXPIRED: "expired", // Too old to re-drive (see services/notification-redrive.js)
+};
+
+// A "sending" entry older than this was left by a job that died mid-run
+const SENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Job lock (see services/job-runs.js) held by every job that claims
+// notifications. SQLite claims are atomic on their own; on Airtable this lock
+// is what keeps two runs from claiming and sending the same notification.
+const NOTIFICATION_LOG_LOCK = "notification-log";
+
+/**
+ * Ledger key for one notification
+ * Entries: { kind: "release"|"reminder", userRecordId, tmdbId, followType,
+ *            eventDate, leadDays?, title, posterPath }
+ * Reminders include their lead time, so the 7-day and 1-day reminders for the
+ * same release are logged separately
+ */
+function notificationKey(entry) {
+  const kind = entry.kind === "reminder" ? `reminder-${entry.leadDays}` : entry.kind;
+  return [kind, entry.userRecordId, entry.tmdbId, entry.followType, entry.eventDate].join(":");
+}
+
+function isInFlight(record, now) {
+  const claimedAt = new Date(record.fields.ClaimedAt);
+  return (
+    record.fields.Status === NOTIFICATION_STATUS.SENDING &&
+    !isNaN(claimedAt.getTime()) &&
+    now - claimedAt < SENDING_TIMEOUT_MS
+  );
+}
+
+function entryToFields(entry) {
+  return {
+    Key: notificationKey(entry),
+    Kind: entry.kind,
+    UserRecordId: entry.userRecordId,
+    TMDB_ID: entry.tmdbId,
+    FollowType: entry.followType,
+    EventDate: entry.eventDate,
+    LeadDays: entry.leadDays,
+    Title: entry.title,
+    PosterPath: entry.posterPath,
+  };
+}
+
+/**
+ * Rebuild a notification entry from a ledger record
+ */
+function entryFromRecord(record) {
+  const { fields } = record;
+  return {
+    logId: record.id,
+    kind: fields.Kind,
+    userRecordId: fields.UserRecordId,
+    tmdbId: fields.TMDB_ID,
+    followType: fields.FollowType,
+    eventDate: fields.EventDate,
+    leadDays: fields.LeadDays,
+    title: fields.Title,
+    posterPath: fields.PosterPath,
+    status: fields.Status,
+    attempts: fields.Attempts || 0,
+    lastError: fields.LastError,
+  };
+}
+
+/**
+ * Claim notifications before sending them
+ * Entries already sent, queued or being sent by another run are left out;
+ * new, failed and abandoned ones are marked "sending" and returned with logId.
+ * Callers run under NOTIFICATION_LOG_LOCK
+ * @param {Array<Object>} entries - Notification entries (see notificationKey)
+ * @returns {Promise<Object>} { claimed, alreadyHandled }
+ */
+async function claimNotifications(entries, { now = new Date() } = {}) {
+  const entriesByKey = new Map();
+  entries.forEach((entry) => entriesByKey.set(notificationKey(entry), entry));
+
+  const existing = await getNotificationLogByKeys([...entriesByKey.keys()]);
+  const existingByKey = new Map(existing.map((record) => [record.fields.Key, record]));
+
+  const toCreate = [];
+  const toUpdate = [];
+  const alreadyHandled = [];
+
+  entriesByKey.forEach((entry, key) => {
+    const record = existingByKey.get(key);
+    const claim = { Status: NOTIFICATION_STATUS.SENDING, ClaimedAt: now.toISOString() };
+
+    if (!record) {
+      toCreate.push({ entry, fields: { ...entryToFields(entry), ...claim, Attempts: 1 } });
+    } else if (record.fields.Status === NOTIFICATION_STATUS.FAILED ||
+               (record.fields.Status === NOTIFICATION_STATUS.SENDING && !isInFlight(record, now))) {
+      toUpdate.push({
+        entry,
+        update: {
+          id: record.id,
+          fields: { ...claim, Attempts: (record.fields.Attempts || 0) + 1 },
+          expected: { Status: record.fields.Status, ClaimedAt: record.fields.ClaimedAt },
+        },
+      });
+    } else {
+      alreadyHandled.push({ ...entry, logId: record.id, status: record.fields.Status });
+    }
+  });
+
+  const [created, updated] = await claimNotificationLogEntries(
+    toCreate.map(({ fields }) => fields),
+    toUpdate.map(({ update }) => update)
+  );
+
+  // A null record is an entry another run claimed between our read and write
+  const claimed = [];
+  [
+    ...toCreate.map(({ entry }, index) => [entry, created[index]]),
+    ...toUpdate.map(({ entry }, index) => [entry, updated[index]]),
+  ].forEach(([entry, record]) => {
+    if (record) {
+      claimed.push({ ...entry, logId: record.id });
+    } else {
+      alreadyHandled.push({ ...entry, logId: null, status: NOTIFICATION_STATUS.SENDING });
+    }
+  });
+
+  return { claimed, alreadyHandled };
+}
+
+/**
+ * Record the outcome for claimed notifications
+ * @param {Array<Object>} entries - Claimed entries (with logId)
+ * @param {string} status - A NOTIFICATION_STATUS value
+ * @param {string} [error] - Failure reason, for failed/skipped entries
+ */
+async function markNotifications(entries, status, error = null) {
+  const fields = { Status: status, LastError: error };
+  if (status === NOTIFICATION_STATUS.SENT) {
+    fields.SentAt = new Date().toISOString();
+  }
+
+  return updateNotificationLogEntries(
+    entries.map((entry) => ({ id: entry.logId, fields }))
+  );
+}
+
+/**
+ * Failed notifications, plus sends abandoned by a job that died mid-run
+ * @returns {Promise<Array<Object>>} Entries (see entryFromRecord)
+ */
+async function getFailedNotifications({ now = new Date() } = {}) {
+  const [failed, sending] = await Promise.all([
+    getNotificationLogByStatus(NOTIFICATION_STATUS.FAILED),
+    getNotificationLogByStatus(NOTIFICATION_STATUS.SENDING),
+  ]);
+
+  return [...failed, ...sending.filter((record) => !isInFlight(record, now))].map(
+    entryFromRecord
+  );
+}
+
+module.exports = {
+  NOTIFICATION_STATUS,
+  NOTIFICATION_LOG_LOCK,
+  notificationKey,
+  claimNotifications,
+  markNotifications,
+  getFailedNotifications,
+};
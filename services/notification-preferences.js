@@ -0,0 +1,140 @@
+// services/notification-preferences.js
+// Per-user notification settings, stored as JSON in Users.NotificationPreferences
+// so new options don't need new Airtable columns and missing values fall back
+// to the defaults below (everything on, sent instantly).
+const { getUserByRecordId } = require("./airtable");
+const { DEFAULT_TIME_ZONE, normalizeTimeZone } = require("../utils/date-helpers");
+const { isEmailVerified } = require("./verification-email");
+
+const DIGEST_FREQUENCIES = ["instant", "daily", "weekly"];
+const REMINDER_LEAD_DAYS = [1, 3, 7, 14]; // Choices for advance reminders
+
+const DEFAULT_PREFERENCES = {
+  theatrical: true, // Theatrical release day emails
+  streaming: true, // Streaming release day emails
+  newDates: true, // "New date announced" and "date changed" emails
+  weeklySummary: true, // Sunday summary of the week ahead
+  digest: "instant", // instant | daily | weekly
+  reminderDays: [], // Advance reminders, days before a release (from REMINDER_LEAD_DAYS)
+  paused: false, // Pause all notifications
+};
+
+// Keep only supported lead times, as numbers, largest first
+function parseReminderDays(values) {
+  const days = [].concat(values || []).map(Number);
+  return REMINDER_LEAD_DAYS.filter((leadDays) => days.includes(leadDays)).reverse();
+}
+
+/**
+ * Read a user's notification preferences, filling in defaults
+ * @param {Object} user - User record
+ * @returns {Object} Preferences
+ */
+function getNotificationPreferences(user) {
+  let stored = {};
+  try {
+    stored = JSON.parse(user.fields.NotificationPreferences || "{}");
+  } catch (error) {
+    console.warn(`[PREFERENCES] Invalid preferences JSON for user ${user.id}, using defaults`);
+  }
+
+  const preferences = { ...DEFAULT_PREFERENCES };
+  for (const key of Object.keys(DEFAULT_PREFERENCES)) {
+    if (typeof stored[key] === typeof DEFAULT_PREFERENCES[key]) {
+      preferences[key] = stored[key];
+    }
+  }
+  if (!DIGEST_FREQUENCIES.includes(preferences.digest)) {
+    preferences.digest = DEFAULT_PREFERENCES.digest;
+  }
+  preferences.reminderDays = parseReminderDays(preferences.reminderDays);
+
+  return preferences;
+}
+
+/**
+ * Build preferences from the settings form (unchecked boxes are not submitted)
+ * @param {Object} body - req.body
+ * @returns {Object} Preferences
+ */
+function preferencesFromForm(body) {
+  return {
+    theatrical: Boolean(body.theatrical),
+    streaming: Boolean(body.streaming),
+    newDates: Boolean(body.newDates),
+    weeklySummary: Boolean(body.weeklySummary),
+    digest: DIGEST_FREQUENCIES.includes(body.digest)
+      ? body.digest
+      : DEFAULT_PREFERENCES.digest,
+    reminderDays: parseReminderDays(body.reminderDays),
+    paused: Boolean(body.paused),
+  };
+}
+
+/**
+ * User record fields for saving preferences
+ */
+function preferencesToFields(preferences) {
+  return { NotificationPreferences: JSON.stringify(preferences) };
+}
+
+/**
+ * Whether a user wants a given kind of notification
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {string} kind - "theatrical", "streaming", "newDates" or "weeklySummary"
+ */
+function wantsNotification(preferences, kind) {
+  return !preferences.paused && preferences[kind] === true;
+}
+
+/**
+ * Load the users behind a set of follow records for a notification job
+ * Unverified and paused users are left out
+ * @param {Array<string>} userRecordIds - Users record IDs (FollowedMovies.User)
+ * @param {string} logTag - Log prefix of the calling job, e.g. "RELEASE-CHECK"
+ * @returns {Promise<Object>} Map of record ID -> { user, email, preferences, timeZone }
+ */
+async function loadRecipients(userRecordIds, logTag) {
+  const recipients = {};
+
+  await Promise.allSettled(
+    userRecordIds.map(async (userId) => {
+      try {
+        const user = await getUserByRecordId(userId);
+        if (!user) return;
+        if (!isEmailVerified(user)) {
+          console.log(`[${logTag}] Skipping unverified user ${userId}`);
+          return;
+        }
+
+        const preferences = getNotificationPreferences(user);
+        if (preferences.paused) {
+          console.log(`[${logTag}] Skipping paused user ${userId}`);
+          return;
+        }
+
+        recipients[userId] = {
+          user,
+          email: user.fields.Email,
+          preferences,
+          timeZone: normalizeTimeZone(user.fields.TimeZone) || DEFAULT_TIME_ZONE,
+        };
+      } catch (err) {
+        console.error(`[${logTag}] Failed to fetch user ${userId}:`, err.message);
+      }
+    })
+  );
+
+  return recipients;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  REMINDER_LEAD_DAYS,
+  DEFAULT_PREFERENCES,
+  getNotificationPreferences,
+  preferencesFromForm,
+  preferencesToFields,
+  wantsNotification,
+  loadRecipients,
+};
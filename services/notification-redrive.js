@@ -0,0 +1,168 @@
+// services/notification-redrive.js
+// Re-sends notifications the notification log has marked as failed (or left
+// "sending" by a job that died), for the admin re-drive endpoint
+const {
+  NOTIFICATION_STATUS,
+  claimNotifications,
+  markNotifications,
+  getFailedNotifications,
+} = require("./notification-log");
+const { loadRecipients, wantsNotification } = require("./notification-preferences");
+const { queueDigestItems } = require("./notification-digest");
+const { sendReleaseEmail } = require("./release-notifications");
+const { sendReminderEmail } = require("./release-reminders");
+const { daysBetweenDateStrings, getTodayInTimeZone } = require("../utils/date-helpers");
+
+// Days past the day an email was due that a re-drive will still send it
+const MAX_DAYS_LATE = 1;
+
+/**
+ * Why an entry is too old to re-send, or null if it isn't
+ * Release emails were due on the release date, reminders leadDays before it
+ */
+function expiredReason(entry, todayStr) {
+  const daysLate = daysBetweenDateStrings(entry.eventDate, todayStr) +
+    (entry.kind === "reminder" ? entry.leadDays || 0 : 0);
+  if (daysLate <= MAX_DAYS_LATE) return null;
+  return `${entry.kind === "reminder" ? "Reminder" : "Release"} was due ${daysLate} days ago`;
+}
+
+// Why an entry can't be re-sent, or null if it can
+function skipReason(entry, recipient, now) {
+  if (!recipient) return "User not found, unverified or paused";
+  if (!wantsNotification(recipient.preferences, entry.followType)) {
+    return `${entry.followType} emails turned off`;
+  }
+  if (entry.kind === "reminder" && entry.eventDate <= getTodayInTimeZone(recipient.timeZone, now)) {
+    return "Release date reached before the reminder was re-sent";
+  }
+  return null;
+}
+
+/**
+ * Re-send every failed notification, one email per user and kind
+ * Releases for users on a daily/weekly digest are queued to the digest instead;
+ * ones more than a day past due are marked expired
+ * @param {Object} options - { now: Date }
+ * @returns {Promise<Object>} { found, sent, queued, skipped, expired, failed, notifications }
+ */
+async function redriveFailedNotifications({ now = new Date() } = {}) {
+  const entries = await getFailedNotifications({ now });
+  const summary = { found: entries.length, sent: 0, queued: 0, skipped: 0, expired: 0, failed: 0, notifications: [] };
+
+  if (entries.length === 0) {
+    console.log("[REDRIVE] No failed notifications to re-send");
+    return summary;
+  }
+
+  const userIds = [...new Set(entries.map((entry) => entry.userRecordId))];
+  const recipients = await loadRecipients(userIds, "REDRIVE");
+
+  const resendable = [];
+  for (const entry of entries) {
+    const recipient = recipients[entry.userRecordId];
+    const expired = expiredReason(entry, getTodayInTimeZone(recipient?.timeZone, now));
+    if (expired) {
+      console.log(`[REDRIVE] Expiring "${entry.title}" (${entry.kind}, ${entry.followType}): ${expired}`);
+      await markNotifications([entry], NOTIFICATION_STATUS.EXPIRED, expired);
+      summary.expired++;
+      continue;
+    }
+
+    const reason = skipReason(entry, recipient, now);
+    if (!reason) {
+      resendable.push(entry);
+      continue;
+    }
+    console.log(`[REDRIVE] Skipping "${entry.title}" (${entry.kind}, ${entry.followType}): ${reason}`);
+    await markNotifications([entry], NOTIFICATION_STATUS.SKIPPED, reason);
+    summary.skipped++;
+  }
+
+  // Claim again, so two re-drives (or a re-drive and a job) can't both send
+  const { claimed } = await claimNotifications(resendable, { now });
+
+  const groups = {};
+  claimed.forEach((entry) => {
+    const groupKey = `${entry.userRecordId}:${entry.kind}`;
+    if (!groups[groupKey]) groups[groupKey] = [];
+    groups[groupKey].push(entry);
+  });
+
+  for (const group of Object.values(groups)) {
+    const [{ userRecordId, kind }] = group;
+    const { user, email, preferences, timeZone } = recipients[userRecordId];
+    const todayStr = getTodayInTimeZone(timeZone, now); // The user's local date
+    const label = group.map((entry) => `${entry.title} (${entry.kind}, ${entry.followType})`);
+    let status;
+    let error = null;
+
+    try {
+      if (kind === "release" && preferences.digest !== "instant") {
+        await queueDigestItems(
+          user,
+          group.map((entry) => ({
+            kind: "release",
+            followType: entry.followType,
+            title: entry.title,
+            posterPath: entry.posterPath,
+            tmdbId: entry.tmdbId,
+            date: entry.eventDate,
+          }))
+        );
+        status = NOTIFICATION_STATUS.QUEUED;
+        summary.queued += group.length;
+      } else if (kind === "release") {
+        await sendReleaseEmail({
+          to: email,
+          userRecordId,
+          releases: group.map((entry) => ({
+            id: entry.tmdbId,
+            title: entry.title,
+            posterPath: entry.posterPath,
+            releaseDate: entry.eventDate,
+            followType: entry.followType,
+          })),
+          date: todayStr,
+        });
+        status = NOTIFICATION_STATUS.SENT;
+        summary.sent += group.length;
+      } else {
+        await sendReminderEmail({
+          to: email,
+          userRecordId,
+          reminders: group.map((entry) => ({
+            id: entry.tmdbId,
+            title: entry.title,
+            posterPath: entry.posterPath,
+            releaseDate: entry.eventDate,
+            followType: entry.followType,
+            daysUntil: daysBetweenDateStrings(todayStr, entry.eventDate),
+          })),
+        });
+        status = NOTIFICATION_STATUS.SENT;
+        summary.sent += group.length;
+      }
+
+      console.log(`[REDRIVE] Re-sent ${group.length} ${kind} notifications to ${email}`);
+      summary.notifications.push(...label);
+    } catch (err) {
+      console.error(`[REDRIVE] Failed to re-send ${kind} notifications to ${email}:`, err.message);
+      summary.failed += group.length;
+      status = NOTIFICATION_STATUS.FAILED;
+      error = err.message;
+    }
+
+    try {
+      await markNotifications(group, status, error);
+    } catch (err) {
+      console.error(`[REDRIVE] Failed to record ${status} in notification log:`, err.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  redriveFailedNotifications,
+};
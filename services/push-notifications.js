@@ -0,0 +1,286 @@
+// services/push-notifications.js
+// Browser push notifications (Web Push) for release alerts, alongside
+// email. A user can subscribe several browsers from the settings page; the
+// subscriptions are stored as JSON in Users.PushSubscriptions and shown by
+// the service worker in public/sw.js.
+//
+// Needs a VAPID key pair in VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (generate one
+// with `npx web-push generate-vapid-keys`). Without it push is turned off and
+// the settings page hides the toggle.
+const webpush = require("web-push");
+const { getUserByRecordId, updateUser } = require("./airtable");
+const { formatDisplayDate } = require("../utils/date-helpers");
+const { APP_BASE_URL } = require("../utils/app-config");
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || APP_BASE_URL; // mailto: or https: contact for push services
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10; // Oldest browsers are dropped beyond this
+const MAX_SEPARATE_PUSHES = 3; // More movies than this become one summary push
+const PUSH_TTL_SECONDS = 24 * 60 * 60; // Push services keep undelivered pushes this long
+const EXPIRED_STATUS_CODES = [404, 410]; // Push service says the subscription is gone
+const MAX_SUMMARY_TITLES = 5; // Keeps a summary push well under the ~4 KB payload limit
+
+// Hosts of the browsers' push services; an endpoint anywhere else would have
+// the server POST to an address a user picked
+const PUSH_SERVICE_HOSTS = [
+  /^fcm\.googleapis\.com$/, // Chrome, Edge on Android
+  /^android\.googleapis\.com$/, // Older Chrome subscriptions
+  /^updates\.push\.services\.mozilla\.com$/, // Firefox
+  /^(?:[a-z0-9-]+\.)*push\.apple\.com$/, // Safari
+  /^(?:[a-z0-9-]+\.)*notify\.windows\.com$/, // Edge on Windows
+];
+
+if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+// Event -> push title and body for one movie, and the title of a summary push
+const PUSH_EVENTS = {
+  release: {
+    title: (movie) =>
+      movie.followType === "streaming"
+        ? `📺 ${movie.title} is now streaming`
+        : `🎬 ${movie.title} is now in theaters`,
+    body: () => "A movie you follow is out today",
+    summary: (count) => `${count} movies you follow are out today`,
+  },
+  dateAnnounced: {
+    title: (movie) => `📅 ${movie.title} has a release date`,
+    body: (movie) =>
+      movie.followType === "streaming"
+        ? `Streaming ${formatDisplayDate(movie.date)}`
+        : `In theaters ${formatDisplayDate(movie.date)}`,
+    summary: (count) => `New release dates for ${count} movies`,
+  },
+  dateChanged: {
+    title: (movie) => `📅 ${movie.title} has a new date`,
+    body: (movie) =>
+      `${movie.followType === "streaming" ? "Streaming" : "Theatrical"} date moved from ${formatDisplayDate(
+        movie.previousDate
+      )} to ${formatDisplayDate(movie.date)}`,
+    summary: (count) => `Release dates changed for ${count} movies`,
+  },
+};
+
+/**
+ * Whether VAPID keys are configured
+ */
+function isPushConfigured() {
+  return Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+}
+
+/**
+ * Read a user's push subscriptions
+ * @param {Object} user - User record
+ * @returns {Array<Object>} { endpoint, keys: { p256dh, auth }, createdAt }
+ */
+function getPushSubscriptions(user) {
+  if (!user.fields.PushSubscriptions) return [];
+
+  try {
+    const subscriptions = JSON.parse(user.fields.PushSubscriptions);
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  } catch (error) {
+    console.warn(`[PUSH] Invalid subscriptions JSON for user ${user.id}, ignoring them`);
+    return [];
+  }
+}
+
+function subscriptionsToFields(subscriptions) {
+  return { PushSubscriptions: subscriptions.length > 0 ? JSON.stringify(subscriptions) : null };
+}
+
+/**
+ * Whether an endpoint is an https URL on a known push service
+ * @param {string} endpoint
+ */
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== "https:" || url.port || url.username || url.password) return false;
+  return PUSH_SERVICE_HOSTS.some((host) => host.test(url.hostname));
+}
+
+/**
+ * Check a subscription posted by the browser (PushSubscription.toJSON())
+ * @param {Object} subscription - Request body
+ * @returns {Object|null} { endpoint, keys } with only the fields we store, or null if invalid
+ */
+function parseSubscription(subscription) {
+  const { endpoint, keys } = subscription || {};
+  const isKey = (value) => typeof value === "string" && /^[A-Za-z0-9_-]{16,200}={0,2}$/.test(value);
+
+  if (!isPushServiceEndpoint(endpoint)) return null;
+  if (!keys || !isKey(keys.p256dh) || !isKey(keys.auth)) return null;
+
+  return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+/**
+ * Save a browser's subscription (replacing an older copy of the same endpoint)
+ * @param {Object} user - User record
+ * @param {Object} subscription - From parseSubscription
+ * @returns {Promise<number>} How many browsers the user now has subscribed
+ */
+async function addPushSubscription(user, subscription) {
+  const subscriptions = getPushSubscriptions(user)
+    .filter((existing) => existing.endpoint !== subscription.endpoint)
+    .concat({ ...subscription, createdAt: new Date().toISOString() })
+    .slice(-MAX_SUBSCRIPTIONS_PER_USER);
+
+  await updateUser(user.id, subscriptionsToFields(subscriptions));
+  console.log(`[PUSH] Saved push subscription for user ${user.id} (${subscriptions.length} total)`);
+  return subscriptions.length;
+}
+
+/**
+ * Remove subscriptions by endpoint, re-reading the user first so browsers
+ * added in the meantime are kept
+ * @param {string} userRecordId - Users record ID
+ * @param {Array<string>} endpoints - Endpoints to drop
+ * @returns {Promise<number>} How many subscriptions are left
+ */
+async function removePushSubscriptions(userRecordId, endpoints) {
+  const user = await getUserByRecordId(userRecordId);
+  if (!user) return 0;
+
+  const subscriptions = getPushSubscriptions(user);
+  const remaining = subscriptions.filter((subscription) => !endpoints.includes(subscription.endpoint));
+  if (remaining.length !== subscriptions.length) {
+    await updateUser(user.id, subscriptionsToFields(remaining));
+  }
+  return remaining.length;
+}
+
+function posterUrl(movie, size) {
+  return movie.posterPath ? `https://image.tmdb.org/t/p/${size}${movie.posterPath}` : null;
+}
+
+/**
+ * Notifications to show for one user and event: one per movie, or a single
+ * summary when there are too many to show separately
+ * @param {string} event - A key of PUSH_EVENTS
+ * @param {Array<Object>} movies - { tmdbId, title, posterPath, followType, date, previousDate? }
+ * @returns {Array<Object>} Payloads for public/sw.js: { title, body, icon, image, url, tag }
+ */
+function buildPushPayloads(event, movies) {
+  const { title, body, summary } = PUSH_EVENTS[event];
+
+  if (movies.length > MAX_SEPARATE_PUSHES) {
+    const shown = movies.slice(0, MAX_SUMMARY_TITLES).map((movie) => movie.title);
+    const hiddenCount = movies.length - shown.length;
+    return [
+      {
+        title: summary(movies.length),
+        body: hiddenCount > 0 ? `${shown.join(", ")} and ${hiddenCount} more` : shown.join(", "),
+        icon: posterUrl(movies.find((movie) => movie.posterPath) || {}, "w185"),
+        url: "/my-movies",
+        tag: `${event}-summary`,
+      },
+    ];
+  }
+
+  return movies.map((movie) => ({
+    title: title(movie),
+    body: body(movie),
+    icon: posterUrl(movie, "w185"),
+    image: posterUrl(movie, "w500"),
+    url: `/movie/${movie.tmdbId}`,
+    tag: `${event}-${movie.tmdbId}-${movie.followType}`, // A repeat replaces the earlier notification
+  }));
+}
+
+/**
+ * Push the same payloads to every browser a user subscribed
+ * @returns {Promise<{sent: number, failed: number, expiredEndpoints: Array<string>}>}
+ */
+async function pushToSubscriptions(subscriptions, payloads, logTag) {
+  const result = { sent: 0, failed: 0, expiredEndpoints: [] };
+
+  await Promise.allSettled(
+    subscriptions.map(async (subscription) => {
+      // Saved before endpoints were checked: dropped like an expired one
+      if (!isPushServiceEndpoint(subscription.endpoint)) {
+        result.expiredEndpoints.push(subscription.endpoint);
+        return;
+      }
+
+      for (const payload of payloads) {
+        try {
+          await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: PUSH_TTL_SECONDS });
+          result.sent++;
+        } catch (err) {
+          if (EXPIRED_STATUS_CODES.includes(err.statusCode)) {
+            result.expiredEndpoints.push(subscription.endpoint);
+            return; // No point sending the rest to this browser
+          }
+          console.error(`[${logTag}] Push to ${new URL(subscription.endpoint).host} failed:`, err.statusCode || err.message);
+          result.failed++;
+        }
+      }
+    })
+  );
+
+  return result;
+}
+
+/**
+ * Send push notifications for a notification job, dropping subscriptions the
+ * push service reports as expired
+ * @param {string} event - A key of PUSH_EVENTS
+ * @param {Array<Object>} items - { userId, tmdbId, title, posterPath, followType, date, previousDate? }
+ * @param {Object} recipients - From loadRecipients; users without subscriptions are skipped
+ * @param {string} logTag - Log prefix of the calling job, e.g. "RELEASE-CHECK"
+ * @returns {Promise<{sent: number, failed: number, expired: number}>} Pushes delivered,
+ * pushes that failed, and subscriptions removed
+ */
+async function sendPushNotifications(event, items, recipients, logTag) {
+  const summary = { sent: 0, failed: 0, expired: 0 };
+  if (!isPushConfigured()) return summary;
+
+  const moviesByUser = {};
+  items.forEach(({ userId, ...movie }) => {
+    if (!recipients[userId] || getPushSubscriptions(recipients[userId].user).length === 0) return;
+    if (!moviesByUser[userId]) moviesByUser[userId] = [];
+    moviesByUser[userId].push(movie);
+  });
+
+  await Promise.allSettled(
+    Object.entries(moviesByUser).map(async ([userId, movies]) => {
+      const subscriptions = getPushSubscriptions(recipients[userId].user);
+      const result = await pushToSubscriptions(subscriptions, buildPushPayloads(event, movies), logTag);
+      summary.sent += result.sent;
+      summary.failed += result.failed;
+
+      if (result.expiredEndpoints.length > 0) {
+        try {
+          await removePushSubscriptions(userId, result.expiredEndpoints);
+          summary.expired += result.expiredEndpoints.length;
+          console.log(`[${logTag}] Removed ${result.expiredEndpoints.length} expired push subscriptions for user ${userId}`);
+        } catch (err) {
+          console.error(`[${logTag}] Failed to remove expired push subscriptions for user ${userId}:`, err.message);
+        }
+      }
+    })
+  );
+
+  return summary;
+}
+
+module.exports = {
+  VAPID_PUBLIC_KEY,
+  isPushConfigured,
+  getPushSubscriptions,
+  parseSubscription,
+  addPushSubscription,
+  removePushSubscriptions,
+  buildPushPayloads,
+  sendPushNotifications,
+};
@@ -0,0 +1,271 @@
+// services/release-check.js
+// Daily release check: emails, webhooks and pushes for follows that come out
+// today where each user is. Run by the job scheduler and by /jobs/check-releases.
+const { getFollowsReleasingOn } = require("./airtable");
+const { getTodayInTimeZone, getCurrentLocalDates } = require("../utils/date-helpers");
+const { sendReleaseEmail } = require("./release-notifications");
+const { loadRecipients, wantsNotification } = require("./notification-preferences");
+const { queueDigestItems } = require("./notification-digest");
+const { sendReleaseReminders } = require("./release-reminders");
+const { sendWebhookNotifications } = require("./webhooks");
+const { sendPushNotifications } = require("./push-notifications");
+const {
+  NOTIFICATION_STATUS,
+  claimNotifications,
+  markNotifications,
+} = require("./notification-log");
+
+// A failed log write must not fail the job; the entry stays "sending" and
+// shows up for re-drive once it goes stale
+async function recordOutcome(releases, status, error) {
+  try {
+    await markNotifications(releases, status, error);
+  } catch (err) {
+    console.error(`[RELEASE-CHECK] Failed to record ${status} in notification log:`, err.message);
+  }
+}
+
+/**
+ * Send release day emails (and advance reminders) for every follow releasing
+ * today in its user's time zone
+ * @returns {Promise<Object>} Summary of what was found, sent, queued and skipped
+ */
+async function runReleaseCheck() {
+  console.log('[RELEASE-CHECK] Starting daily release check...');
+  
+  const today = new Date();
+  const todayStr = today.toISOString().split("T")[0]; // Date part only in YYYY-MM-DD format
+
+  // Releases go out on the user's local date, so look at every date it is
+  // somewhere right now and match each follow to its user's time zone below
+  const localDates = getCurrentLocalDates(today);
+  
+  console.log(`[RELEASE-CHECK] Checking releases for ${localDates.join(", ")}`);
+
+  // Advance reminders (e.g. 7 days or 1 day before) run alongside same-day releases
+  let reminders;
+  try {
+    reminders = await sendReleaseReminders(today);
+  } catch (err) {
+    console.error('[RELEASE-CHECK] Reminder run failed:', err.message);
+    reminders = { error: err.message };
+  }
+
+  // Check for both theatrical releases (using ReleaseDate) and streaming
+  // releases (using StreamingReleaseDate) on each of those dates
+  const [theatricalMovies, streamingMovies] = await Promise.all(
+    ["theatrical", "streaming"].map(async (followType) => {
+      const results = await Promise.all(
+        localDates.map((dateStr) => getFollowsReleasingOn(dateStr, followType))
+      );
+      return results.flat();
+    })
+  );
+
+  const followedMovies = [...theatricalMovies, ...streamingMovies];
+  
+  console.log(`[RELEASE-CHECK] Found ${theatricalMovies.length} theatrical releases and ${streamingMovies.length} streaming releases`);
+  
+  if (followedMovies.length === 0) {
+    console.log('[RELEASE-CHECK] No releases due today.');
+    return {
+      message: 'No releases due today', 
+      date: todayStr,
+      localDates,
+      theatrical: 0,
+      streaming: 0,
+      totalEmails: 0,
+      releases: [],
+      reminders
+    };
+  }
+
+  // Step 1: Gather unique User record IDs
+  const userIds = [
+    ...new Set(followedMovies.flatMap((movie) => movie.fields.User || [])),
+  ];
+
+  console.log(`[RELEASE-CHECK] Fetching emails for ${userIds.length} unique users`);
+  
+  // Step 2: Fetch users and their notification preferences (unverified and paused users are skipped)
+  const recipients = await loadRecipients(userIds, "RELEASE-CHECK");
+
+  // Step 4: Build the dueReleases array with actual emails
+  const dueReleases = followedMovies.map((movie) => {
+    const userId = movie.fields.User?.[0]; // assuming only one user per movie
+    const userEmail = recipients[userId]?.email;
+    const isStreaming = movie.fields.FollowType === "streaming";
+    const releaseDate = isStreaming
+      ? movie.fields.StreamingReleaseDate
+      : movie.fields.ReleaseDate;
+    return {
+      id: movie.fields.TMDB_ID,
+      title: movie.fields.Title,
+      releaseDate,
+      releaseDay: releaseDate.split("T")[0],
+      posterPath: movie.fields.PosterPath,
+      userId,
+      userEmail,
+      followType: movie.fields.FollowType,
+    };
+  });
+
+  // Keep the releases due today where each user is, and that they want to hear about
+  let skippedByPreference = 0;
+  let notDueLocally = 0;
+  const wantedReleases = dueReleases.filter((release) => {
+    if (!release.userEmail) {
+      console.log(`[RELEASE-CHECK] No email for user, skipping "${release.title}"`);
+      return false;
+    }
+
+    const { preferences, timeZone } = recipients[release.userId];
+    if (release.releaseDay !== getTodayInTimeZone(timeZone, today)) {
+      notDueLocally++; // Already past, or not yet, in the user's time zone
+      return false;
+    }
+    if (!wantsNotification(preferences, release.followType)) {
+      console.log(`[RELEASE-CHECK] ${release.followType} emails turned off for ${release.userEmail}, skipping "${release.title}"`);
+      skippedByPreference++;
+      return false;
+    }
+    return true;
+  });
+
+  // Claim them in the notification log, so a second run today (a cron
+  // retry, another instance) skips anything already sent or queued
+  const { claimed, alreadyHandled } = await claimNotifications(
+    wantedReleases.map((release) => ({
+      ...release,
+      kind: "release",
+      userRecordId: release.userId,
+      tmdbId: release.id,
+      eventDate: release.releaseDay,
+    }))
+  );
+  if (alreadyHandled.length > 0) {
+    console.log(`[RELEASE-CHECK] Skipping ${alreadyHandled.length} notifications already handled today`);
+  }
+
+  // Group releases by user email for batched notifications; users on a
+  // daily/weekly digest get them queued instead
+  const releasesByUser = {};
+  const digestReleasesByUser = {};
+  claimed.forEach((release) => {
+    if (recipients[release.userId].preferences.digest !== "instant") {
+      if (!digestReleasesByUser[release.userId]) {
+        digestReleasesByUser[release.userId] = [];
+      }
+      digestReleasesByUser[release.userId].push(release);
+      return;
+    }
+    
+    if (!releasesByUser[release.userEmail]) {
+      releasesByUser[release.userEmail] = [];
+    }
+    releasesByUser[release.userEmail].push(release);
+  });
+
+  const userEmails = Object.keys(releasesByUser);
+  console.log(`[RELEASE-CHECK] Sending batched release notifications to ${userEmails.length} users...`);
+  
+  const emailsSent = [];
+  let emailsFailed = 0;
+  
+  // Send batched emails with detailed tracking
+  await Promise.allSettled(
+    userEmails.map(async (userEmail) => {
+      const userReleases = releasesByUser[userEmail];
+      const movieCount = userReleases.length;
+      
+      try {
+        await sendReleaseEmail({
+          to: userEmail,
+          userRecordId: userReleases[0].userId,
+          releases: userReleases,
+          date: userReleases[0].eventDate, // The user's local date
+        });
+        console.log(`[RELEASE-CHECK] Email sent to ${userEmail} for ${movieCount} movies`);
+        userReleases.forEach(release => {
+          emailsSent.push(`${release.title} (${release.followType})`);
+        });
+        await recordOutcome(userReleases, NOTIFICATION_STATUS.SENT);
+      } catch (err) {
+        console.error(
+          `[RELEASE-CHECK] Failed to send email to ${userEmail} for ${movieCount} movies:`,
+          err.message
+        );
+        emailsFailed++;
+        await recordOutcome(userReleases, NOTIFICATION_STATUS.FAILED, err.message);
+      }
+    })
+  );
+
+  // Queue releases for users who get a daily/weekly digest
+  let digestQueued = 0;
+  await Promise.allSettled(
+    Object.entries(digestReleasesByUser).map(async ([userId, releases]) => {
+      try {
+        await queueDigestItems(
+          recipients[userId].user,
+          releases.map((release) => ({
+            kind: "release",
+            followType: release.followType,
+            title: release.title,
+            posterPath: release.posterPath,
+            tmdbId: release.id,
+            date: release.releaseDate,
+          }))
+        );
+        digestQueued += releases.length;
+        await recordOutcome(releases, NOTIFICATION_STATUS.QUEUED);
+      } catch (err) {
+        console.error(`[RELEASE-CHECK] Failed to queue digest for user ${userId}:`, err.message);
+        await recordOutcome(releases, NOTIFICATION_STATUS.FAILED, err.message);
+      }
+    })
+  );
+
+  // Post to webhooks and push to browsers as well, whether the email went
+  // out now or waits for a digest
+  const releaseAlerts = claimed.map((release) => ({
+    userId: release.userId,
+    tmdbId: release.id,
+    title: release.title,
+    posterPath: release.posterPath,
+    followType: release.followType,
+    date: release.releaseDate?.split("T")[0],
+  }));
+  const webhooks = await sendWebhookNotifications("release", releaseAlerts, recipients, "RELEASE-CHECK");
+  const pushes = await sendPushNotifications("release", releaseAlerts, recipients, "RELEASE-CHECK");
+
+  console.log(`[RELEASE-CHECK] Completed! Theatrical: ${theatricalMovies.length}, Streaming: ${streamingMovies.length}, Not due locally: ${notDueLocally}, Users notified: ${userEmails.length}, Movie notifications: ${emailsSent.length}, Queued for digest: ${digestQueued}, Failed: ${emailsFailed}, Webhooks sent: ${webhooks.sent}, Webhooks failed: ${webhooks.failed}, Pushes sent: ${pushes.sent}, Pushes failed: ${pushes.failed}, Push subscriptions expired: ${pushes.expired}`);
+
+  return {
+    message: 'Release check completed',
+    date: todayStr,
+    localDates,
+    theatrical: theatricalMovies.length,
+    streaming: streamingMovies.length,
+    usersNotified: userEmails.length,
+    totalMovieNotifications: emailsSent.length,
+    emailsFailed,
+    digestQueued,
+    webhooksSent: webhooks.sent,
+    webhooksFailed: webhooks.failed,
+    pushesSent: pushes.sent,
+    pushesFailed: pushes.failed,
+    pushSubscriptionsExpired: pushes.expired,
+    skippedByPreference,
+    notDueLocally,
+    alreadyHandled: alreadyHandled.length,
+    releases: emailsSent,
+    theatricalReleases: theatricalMovies.map(m => m.fields.Title),
+    streamingReleases: streamingMovies.map(m => m.fields.Title),
+    reminders
+  };
+}
+
+module.exports = {
+  runReleaseCheck,
+};
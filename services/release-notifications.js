@@ -0,0 +1,72 @@
+// services/release-notifications.js
+// Release day emails, shared by /jobs/check-releases and the admin re-drive
+const sendEmail = require("./send-email");
+const {
+  generateReleaseEmailHTML,
+  generateReleaseBatchEmailHTML,
+} = require("./email-templates");
+const { unsubscribeHeaders } = require("./unsubscribe");
+
+/**
+ * Email one user about the releases due for them
+ * A single release gets its own email, several are batched into one
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.userRecordId - Recipient's Users record ID, for the unsubscribe link
+ * @param {Array<Object>} options.releases - { id, title, releaseDate, posterPath, followType }
+ * @param {string} options.date - Day in YYYY-MM-DD format
+ */
+async function sendReleaseEmail({ to, userRecordId, releases, date }) {
+  // Unsubscribing turns off the release types in this email
+  const headers = unsubscribeHeaders(userRecordId, releases.map((r) => r.followType));
+
+  if (releases.length === 1) {
+    // Send individual email for single movie (maintains existing UX)
+    const release = releases[0];
+    const isStreaming = release.followType === "streaming";
+    const emoji = isStreaming ? "📺" : "🎬";
+
+    const subject = `${emoji} "${release.title}" is ${
+      isStreaming ? "available for streaming" : "now in theaters"
+    }!`;
+
+    const htmlContent = generateReleaseEmailHTML({
+      title: release.title,
+      posterPath: release.posterPath,
+      releaseDate: release.releaseDate,
+      followType: release.followType,
+      tmdbId: release.id,
+    });
+
+    return sendEmail({ to, subject, htmlContent, headers });
+  }
+
+  // Send batched email for multiple movies
+  const theatricalCount = releases.filter((r) => r.followType === "theatrical").length;
+  const streamingCount = releases.filter((r) => r.followType === "streaming").length;
+
+  let subjectEmojis = "";
+  let subjectText = "";
+
+  if (theatricalCount > 0 && streamingCount > 0) {
+    subjectEmojis = "🎬📺";
+    subjectText = `${releases.length} of your movies are available today!`;
+  } else if (theatricalCount > 0) {
+    subjectEmojis = "🎬";
+    subjectText = `${releases.length} of your movies are now in theaters!`;
+  } else {
+    subjectEmojis = "📺";
+    subjectText = `${releases.length} of your movies are available for streaming!`;
+  }
+
+  const htmlContent = generateReleaseBatchEmailHTML({
+    movies: releases,
+    date,
+  });
+
+  return sendEmail({ to, subject: `${subjectEmojis} ${subjectText}`, htmlContent, headers });
+}
+
+module.exports = {
+  sendReleaseEmail,
+};
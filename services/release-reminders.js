@@ -0,0 +1,176 @@
+// services/release-reminders.js
+// Advance reminders: users pick lead times on /settings (e.g. 7 days and
+// 1 day before), and the daily release check emails them about followed
+// movies releasing that many days from today in their time zone. Reminders
+// are time-sensitive, so they are always sent right away, even to users on a
+// daily/weekly digest.
+const { getFollowsReleasingOn } = require("./airtable");
+const {
+  REMINDER_LEAD_DAYS,
+  loadRecipients,
+  wantsNotification,
+} = require("./notification-preferences");
+const sendEmail = require("./send-email");
+const { generateReminderBatchEmailHTML } = require("./email-templates");
+const {
+  NOTIFICATION_STATUS,
+  claimNotifications,
+  markNotifications,
+} = require("./notification-log");
+const { unsubscribeHeaders } = require("./unsubscribe");
+const {
+  addDaysToDateString,
+  daysBetweenDateStrings,
+  getTodayInTimeZone,
+  getCurrentLocalDates,
+} = require("../utils/date-helpers");
+
+/**
+ * Find follow records releasing at any supported lead time from any date it
+ * is somewhere right now (which lead time applies depends on the user's zone)
+ * @param {Date} now - Moment the job runs
+ * @returns {Promise<Array<Object>>} Follow records
+ */
+async function getUpcomingFollows(now) {
+  const releaseDates = new Set(
+    getCurrentLocalDates(now).flatMap((today) =>
+      REMINDER_LEAD_DAYS.map((days) => addDaysToDateString(today, days))
+    )
+  );
+  const queries = [...releaseDates].flatMap((dateStr) =>
+    ["theatrical", "streaming"].map((followType) => ({ dateStr, followType }))
+  );
+
+  const results = await Promise.all(
+    queries.map((query) => getFollowsReleasingOn(query.dateStr, query.followType))
+  );
+
+  return results.flat();
+}
+
+function buildSubject(reminders) {
+  if (reminders.length === 1) {
+    const [reminder] = reminders;
+    const when = reminder.daysUntil === 1 ? "tomorrow" : `in ${reminder.daysUntil} days`;
+    const where = reminder.followType === "streaming" ? "starts streaming" : "hits theaters";
+    return `⏰ "${reminder.title}" ${where} ${when}`;
+  }
+  return `⏰ ${reminders.length} of your movies are releasing soon`;
+}
+
+/**
+ * Email one user a set of reminders
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.userRecordId - Recipient's Users record ID, for the unsubscribe link
+ * @param {Array<Object>} options.reminders - { id, title, posterPath, releaseDate, followType, daysUntil }
+ */
+async function sendReminderEmail({ to, userRecordId, reminders }) {
+  return sendEmail({
+    to,
+    subject: buildSubject(reminders),
+    htmlContent: generateReminderBatchEmailHTML({ reminders }),
+    headers: unsubscribeHeaders(userRecordId, ["reminders"]),
+  });
+}
+
+async function recordOutcome(reminders, status, error) {
+  try {
+    await markNotifications(reminders, status, error);
+  } catch (err) {
+    console.error(`[REMINDERS] Failed to record ${status} in notification log:`, err.message);
+  }
+}
+
+/**
+ * Email each user the reminders due on their local date, one email per user
+ * @param {Date} now - Moment the job runs (defaults to now)
+ * @returns {Promise<Object>} { remindersSent, usersReminded, emailsFailed, alreadyHandled, reminders }
+ */
+async function sendReleaseReminders(now = new Date()) {
+  const upcoming = await getUpcomingFollows(now);
+  const summary = { remindersSent: 0, usersReminded: 0, emailsFailed: 0, alreadyHandled: 0, reminders: [] };
+
+  if (upcoming.length === 0) {
+    console.log("[REMINDERS] No upcoming releases within reminder range");
+    return summary;
+  }
+
+  const userIds = [
+    ...new Set(upcoming.flatMap((record) => record.fields.User || [])),
+  ];
+  const recipients = await loadRecipients(userIds, "REMINDERS");
+
+  // Keep only the lead times and follow types each user asked for
+  const wanted = [];
+  upcoming.forEach((record) => {
+    const userId = record.fields.User?.[0];
+    const recipient = recipients[userId];
+    if (!recipient) return;
+
+    const { preferences, timeZone } = recipient;
+    const followType = record.fields.FollowType;
+    const releaseDate =
+      followType === "streaming"
+        ? record.fields.StreamingReleaseDate
+        : record.fields.ReleaseDate;
+    const releaseDay = releaseDate.split("T")[0];
+    const daysUntil = daysBetweenDateStrings(getTodayInTimeZone(timeZone, now), releaseDay);
+
+    if (!preferences.reminderDays.includes(daysUntil)) return;
+    if (!wantsNotification(preferences, followType)) return;
+    wanted.push({
+      id: record.fields.TMDB_ID,
+      title: record.fields.Title,
+      posterPath: record.fields.PosterPath,
+      releaseDate,
+      followType,
+      daysUntil,
+      // Notification log entry fields
+      kind: "reminder",
+      userRecordId: userId,
+      tmdbId: record.fields.TMDB_ID,
+      eventDate: releaseDay,
+      leadDays: daysUntil,
+    });
+  });
+
+  // Skip reminders an earlier run today already sent
+  const { claimed, alreadyHandled } = await claimNotifications(wanted);
+  summary.alreadyHandled = alreadyHandled.length;
+
+  const remindersByUser = {};
+  claimed.forEach((reminder) => {
+    if (!remindersByUser[reminder.userRecordId]) remindersByUser[reminder.userRecordId] = [];
+    remindersByUser[reminder.userRecordId].push(reminder);
+  });
+
+  console.log(`[REMINDERS] Sending reminders to ${Object.keys(remindersByUser).length} users...`);
+
+  await Promise.allSettled(
+    Object.entries(remindersByUser).map(async ([userId, reminders]) => {
+      const userEmail = recipients[userId].email;
+      try {
+        await sendReminderEmail({ to: userEmail, userRecordId: userId, reminders });
+        console.log(`[REMINDERS] Reminder email sent to ${userEmail} for ${reminders.length} movies`);
+        summary.usersReminded++;
+        summary.remindersSent += reminders.length;
+        reminders.forEach((reminder) => {
+          summary.reminders.push(`${reminder.title} (${reminder.followType}, ${reminder.daysUntil}d)`);
+        });
+        await recordOutcome(reminders, NOTIFICATION_STATUS.SENT);
+      } catch (err) {
+        console.error(`[REMINDERS] Failed to send reminder email to ${userEmail}:`, err.message);
+        summary.emailsFailed++;
+        await recordOutcome(reminders, NOTIFICATION_STATUS.FAILED, err.message);
+      }
+    })
+  );
+
+  return summary;
+}
+
+module.exports = {
+  sendReminderEmail,
+  sendReleaseReminders,
+};
@@ -1,27 +1,33 @@
-// services/sendEmail.js
-const axios = require("axios");
+// services/send-email.js
+// Sends through the transport picked by EMAIL_TRANSPORT (see ./email-transport)
+const transport = require("./email-transport");
+const { htmlToText } = require("../utils/html-to-text");
 
-const sendEmail = async ({ to, subject, htmlContent }) => {
+// Sender identity, shared by every transport
+const sender = {
+  name: process.env.EMAIL_FROM_NAME || "Movie Release Tracker",
+  email: process.env.EMAIL_FROM_ADDRESS || "mike@moviereleasetracker.online",
+};
+
+/**
+ * Send a multipart (HTML + plain text) email
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.subject - Subject line
+ * @param {string} options.htmlContent - HTML body
+ * @param {string} [options.textContent] - Plain-text body, generated from the HTML if omitted
+ * @param {Object} [options.headers] - Extra headers, e.g. from unsubscribeHeaders()
+ */
+const sendEmail = async ({ to, subject, htmlContent, textContent, headers = {} }) => {
   try {
-    const response = await axios.post(
-      "https://api.brevo.com/v3/smtp/email",
-      {
-        sender: {
-          name: "Movie Release Tracker",
-          email: "mike@moviereleasetracker.online",
-        },
-        to: [{ email: to }],
-        subject,
-        htmlContent,
-      },
-      {
-        headers: {
-          "api-key": process.env.BREVO_API_KEY,
-          "Content-Type": "application/json",
-        },
-      },
-    );
-    return response.data;
+    return await transport.send({
+      from: sender,
+      to,
+      subject,
+      htmlContent,
+      textContent: textContent || htmlToText(htmlContent),
+      headers,
+    });
   } catch (err) {
     console.error(
       `Email send error to ${to}:`,
@@ -0,0 +1,165 @@
+/**
+ * SQLite Session Store
+ * Persists express-session sessions to a local SQLite file so logins survive
+ * restarts and deploys, and can be shared by several processes on one host.
+ * Sessions are indexed by user so they can all be revoked at once.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const session = require("express-session");
+const Database = require("better-sqlite3");
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+class SqliteSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.dbPath =
+      options.path ||
+      path.join(__dirname, "..", "data", "sessions.db");
+    this.pruneIntervalMs = options.pruneIntervalMs || 15 * 60 * 1000; // 15 minutes
+    this.db = null;
+    this.pruneTimer = null;
+  }
+
+  getDb() {
+    if (this.db) return this.db;
+
+    if (this.dbPath !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        user_id TEXT,
+        expires INTEGER NOT NULL,
+        sess TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires);
+    `);
+
+    this.startPruning();
+    return this.db;
+  }
+
+  getExpiry(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + ONE_DAY_MS;
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.getDb()
+        .prepare("SELECT sess FROM sessions WHERE sid = ? AND expires > ?")
+        .get(sid, Date.now());
+      callback(null, row ? JSON.parse(row.sess) : null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback = () => {}) {
+    try {
+      this.getDb()
+        .prepare(
+          `INSERT INTO sessions (sid, user_id, expires, sess) VALUES (?, ?, ?, ?)
+           ON CONFLICT(sid) DO UPDATE SET user_id = excluded.user_id,
+             expires = excluded.expires, sess = excluded.sess`
+        )
+        .run(sid, sess.userId || null, this.getExpiry(sess), JSON.stringify(sess));
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    try {
+      this.getDb()
+        .prepare("UPDATE sessions SET expires = ? WHERE sid = ?")
+        .run(this.getExpiry(sess), sid);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  destroy(sid, callback = () => {}) {
+    try {
+      this.getDb().prepare("DELETE FROM sessions WHERE sid = ?").run(sid);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  length(callback) {
+    try {
+      const row = this.getDb()
+        .prepare("SELECT COUNT(*) AS count FROM sessions WHERE expires > ?")
+        .get(Date.now());
+      callback(null, row.count);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  clear(callback = () => {}) {
+    try {
+      this.getDb().prepare("DELETE FROM sessions").run();
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Revoke every session belonging to a user ("sign out of all devices")
+   * @param {string} userId - The session's userId (Users.UserID)
+   * @param {string} exceptSid - Optional session to keep, e.g. the current one
+   * @returns {number} Number of sessions removed
+   */
+  destroyUserSessions(userId, exceptSid = null) {
+    const result = this.getDb()
+      .prepare("DELETE FROM sessions WHERE user_id = ? AND sid IS NOT ?")
+      .run(userId, exceptSid);
+    console.log(`[SESSIONS] Revoked ${result.changes} sessions for user ${userId}`);
+    return result.changes;
+  }
+
+  pruneExpired() {
+    const result = this.getDb()
+      .prepare("DELETE FROM sessions WHERE expires <= ?")
+      .run(Date.now());
+    if (result.changes > 0) {
+      console.log(`[SESSIONS] Pruned ${result.changes} expired sessions`);
+    }
+    return result.changes;
+  }
+
+  startPruning() {
+    if (this.pruneTimer) return;
+
+    this.pruneTimer = setInterval(() => {
+      try {
+        this.pruneExpired();
+      } catch (error) {
+        console.error("[SESSIONS] Failed to prune expired sessions:", error.message);
+      }
+    }, this.pruneIntervalMs);
+
+    // Don't keep the process alive just to prune sessions
+    this.pruneTimer.unref();
+  }
+}
+
+const sessionStore = new SqliteSessionStore({
+  path: process.env.SESSION_DB_PATH,
+});
+
+module.exports = sessionStore;
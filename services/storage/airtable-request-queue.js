@@ -0,0 +1,96 @@
+/**
+ * Airtable Request Queue
+ * Serializes calls to one Airtable base so they stay under the
+ * per-base rate limit (5 requests/second), and retries rate-limited (429)
+ * and server (5xx) failures with exponential backoff.
+ *
+ * Creates (POST) aren't idempotent: after a 5xx or a timeout the record may
+ * already exist, so they're only retried when Airtable can't have acted on
+ * them (a 429, or a connection that was never made).
+ */
+
+const RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN"];
+const NOT_SENT_NETWORK_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+class AirtableRequestQueue {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 5;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30 * 1000; // Airtable asks for 30s after a 429
+    this.minIntervalMs = 1000 / this.requestsPerSecond;
+    this.nextSlotAt = 0;
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+  }
+
+  /**
+   * Run a request function through the queue
+   * @param {Function} requestFn - Returns a promise (e.g. an axios call)
+   * @param {Object} options - { idempotent: false for requests that mustn't
+   * be repeated once they may have reached Airtable, default true }
+   * @returns {Promise<*>} Resolved value of requestFn
+   */
+  async schedule(requestFn, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot();
+      this.stats.requests++;
+
+      try {
+        return await requestFn();
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error, idempotent)) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        this.stats.retries++;
+        console.warn(
+          `[AIRTABLE-QUEUE] Request failed (${error.response?.status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`
+        );
+
+        // Push back every queued request, not just this one
+        this.nextSlotAt = Math.max(this.nextSlotAt, Date.now() + delay);
+      }
+    }
+  }
+
+  /**
+   * Reserve the next free request slot and wait for it
+   */
+  async waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = slot + this.minIntervalMs;
+
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+
+  isRetryable(error, idempotent = true) {
+    const status = error.response?.status;
+    if (!idempotent) {
+      return status ? status === 429 : NOT_SENT_NETWORK_CODES.includes(error.code);
+    }
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = Number(error.response?.headers?.["retry-after"]);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.maxDelayMs);
+    }
+
+    const backoff = this.baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.round(Math.min(backoff + jitter, this.maxDelayMs));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = AirtableRequestQueue;
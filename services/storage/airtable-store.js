@@ -0,0 +1,625 @@
+// services/storage/airtable-store.js
+const axios = require("axios");
+const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
+const AIRTABLE_USERS_TABLE = process.env.AIRTABLE_USERS_TABLE || "Users";
+const AIRTABLE_FOLLOWED_MOVIES_TABLE =
+  process.env.AIRTABLE_FOLLOWED_MOVIES_TABLE || "FollowedMovies";
+const AIRTABLE_NOTIFICATION_LOG_TABLE =
+  process.env.AIRTABLE_NOTIFICATION_LOG_TABLE || "NotificationLog";
+const AIRTABLE_JOB_RUNS_TABLE =
+  process.env.AIRTABLE_JOB_RUNS_TABLE || "JobRuns";
+const AIRTABLE_FEED_ENTRIES_TABLE =
+  process.env.AIRTABLE_FEED_ENTRIES_TABLE || "FeedEntries";
+const PAT = process.env.AIRTABLE_API_KEY; // Your Personal Access Token
+const {
+  field,
+  eq,
+  and,
+  or,
+  not,
+  isSameDay,
+  isOnOrAfterDay,
+  isOnOrBeforeDay,
+  blank,
+} = require("../../utils/airtable-formula");
+const AirtableRequestQueue = require("./airtable-request-queue");
+
+const AIRTABLE_BATCH_SIZE = 10; // Max records per create/update/delete call
+const KEY_LOOKUP_CHUNK_SIZE = 50; // Keys per OR() formula, keeps the URL short
+
+const airtableAxios = axios.create({
+  baseURL: `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/`,
+  headers: {
+    Authorization: `Bearer ${PAT}`,
+    "Content-Type": "application/json",
+  },
+});
+
+// One queue per base: every request below goes through it
+const requestQueue = new AirtableRequestQueue({
+  requestsPerSecond: Number(process.env.AIRTABLE_REQUESTS_PER_SECOND) || 5,
+});
+
+/**
+ * Send a request through the shared queue (throttled, retried on 429/5xx;
+ * creates only on 429, so a retry can't add a duplicate record)
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} Response body
+ */
+async function airtableRequest(config) {
+  const response = await requestQueue.schedule(
+    () => airtableAxios.request(config),
+    { idempotent: String(config.method || "get").toLowerCase() !== "post" }
+  );
+  return response.data;
+}
+
+/**
+ * Split items into Airtable-sized batches and run them through the handler
+ * All batches are attempted; if any fail, the thrown error carries the
+ * records that did succeed (error.records) and the failed items (error.failedItems)
+ * @param {Array} items - Items to process
+ * @param {Function} handler - Receives one batch, resolves to an array of records
+ * @returns {Promise<Array>} Records returned by all batches
+ */
+async function runInBatches(items, handler) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += AIRTABLE_BATCH_SIZE) {
+    batches.push(items.slice(i, i + AIRTABLE_BATCH_SIZE));
+  }
+
+  const results = await Promise.allSettled(batches.map(handler));
+  const records = results
+    .filter((result) => result.status === "fulfilled")
+    .flatMap((result) => result.value);
+  const failedItems = batches.filter(
+    (_, index) => results[index].status === "rejected"
+  ).flat();
+
+  if (failedItems.length > 0) {
+    const firstFailure = results.find((result) => result.status === "rejected");
+    const error = new Error(
+      `${failedItems.length} of ${items.length} Airtable records failed: ${firstFailure.reason.message}`
+    );
+    error.records = records;
+    error.failedItems = failedItems;
+    error.response = firstFailure.reason.response;
+    throw error;
+  }
+
+  return records;
+}
+
+async function createRecords(table, fieldsList) {
+  return runInBatches(fieldsList, async (batch) => {
+    const data = await airtableRequest({
+      method: "post",
+      url: table,
+      data: { records: batch.map((fields) => ({ fields })) },
+    });
+    return data.records;
+  });
+}
+
+async function updateRecords(table, updates) {
+  return runInBatches(updates, async (batch) => {
+    const data = await airtableRequest({
+      method: "patch",
+      url: table,
+      data: { records: batch.map(({ id, fields }) => ({ id, fields })) },
+    });
+    return data.records;
+  });
+}
+
+async function deleteRecords(table, recordIds) {
+  return runInBatches(recordIds, async (batch) => {
+    const data = await airtableRequest({
+      method: "delete",
+      url: table,
+      params: { records: batch },
+    });
+    return data.records;
+  });
+}
+
+/**
+ * List every record matching the given query params, following Airtable's
+ * `offset` cursor until the last page (Airtable returns at most 100 per page)
+ * @param {string} table - Table name
+ * @param {Object} params - filterByFormula, sort, maxRecords, fields, etc.
+ * @returns {Promise<Array>} All matching records
+ */
+async function listRecords(table, params = {}) {
+  const records = [];
+  let offset;
+
+  do {
+    const data = await airtableRequest({
+      method: "get",
+      url: table,
+      params: { ...params, offset },
+    });
+    records.push(...data.records);
+    offset = data.offset;
+  } while (offset);
+
+  return records;
+}
+
+function logError(operation, error) {
+  console.error(
+    `Airtable ${operation} error:`,
+    error.response?.data || error.message
+  );
+}
+
+async function getUsersByEmail(email) {
+  try {
+    const filterFormula = eq("Email", email, { caseInsensitive: true });
+    return await listRecords(AIRTABLE_USERS_TABLE, {
+      filterByFormula: filterFormula,
+    });
+  } catch (error) {
+    logError("getUsersByEmail", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single user by its record ID (the value stored in FollowedMovies.User)
+ * Returns null when the record does not exist
+ */
+async function getUserByRecordId(recordId) {
+  try {
+    return await airtableRequest({
+      method: "get",
+      url: `${AIRTABLE_USERS_TABLE}/${recordId}`,
+    });
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    logError("getUserByRecordId", error);
+    throw error;
+  }
+}
+
+async function createUser(userData) {
+  try {
+    const [record] = await createRecords(AIRTABLE_USERS_TABLE, [userData]);
+    return record;
+  } catch (error) {
+    logError("createUser", error);
+    throw error;
+  }
+}
+
+/**
+ * Find users whose field equals the given value (e.g. a token hash)
+ */
+async function findUsers(fieldName, fieldValue) {
+  try {
+    return await listRecords(AIRTABLE_USERS_TABLE, {
+      filterByFormula: eq(fieldName, fieldValue),
+    });
+  } catch (error) {
+    logError("findUsers", error);
+    throw error;
+  }
+}
+
+/**
+ * Find users where a field is not empty (e.g. a pending digest)
+ */
+async function findUsersWithField(fieldName) {
+  try {
+    return await listRecords(AIRTABLE_USERS_TABLE, {
+      filterByFormula: not(blank(fieldName)),
+    });
+  } catch (error) {
+    logError("findUsersWithField", error);
+    throw error;
+  }
+}
+
+async function updateUser(recordId, fields) {
+  try {
+    const [record] = await updateRecords(AIRTABLE_USERS_TABLE, [
+      { id: recordId, fields },
+    ]);
+    return record;
+  } catch (error) {
+    logError("updateUser", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a user record
+ */
+async function deleteUser(recordId) {
+  try {
+    await deleteRecords(AIRTABLE_USERS_TABLE, [recordId]);
+  } catch (error) {
+    logError("deleteUser", error);
+    throw error;
+  }
+}
+
+async function getFollowedMoviesByUserId(userId) {
+  try {
+    const filterFormula = eq("UserID", userId);
+    return await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: filterFormula,
+    });
+  } catch (error) {
+    logError("getFollowedMoviesByUserId", error);
+    throw error;
+  }
+}
+
+/**
+ * Create follow records, up to 10 per request
+ */
+async function createFollows(fieldsList) {
+  try {
+    return await createRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, fieldsList);
+  } catch (error) {
+    logError("createFollows", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove follow record(s) for a user and movie
+ * Returns the number of deleted records
+ */
+async function deleteFollows(userId, tmdbId, followType = null) {
+  try {
+    const conditions = [eq("UserID", userId), eq("TMDB_ID", Number(tmdbId))];
+
+    if (followType && followType.toLowerCase() !== "both") {
+      // Specific follow type
+      conditions.push(eq("FollowType", followType.toLowerCase()));
+    } else if (followType && followType.toLowerCase() === "both") {
+      // Both types: theatrical or streaming
+      conditions.push(
+        or(eq("FollowType", "theatrical"), eq("FollowType", "streaming"))
+      );
+    }
+    // No followType specified: just user and movie
+
+    const filterFormula = and(...conditions);
+
+    const records = await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: filterFormula,
+    });
+
+    if (records.length === 0) return 0;
+
+    await deleteRecords(
+      AIRTABLE_FOLLOWED_MOVIES_TABLE,
+      records.map((record) => record.id)
+    );
+
+    return records.length;
+  } catch (error) {
+    logError("unfollowMovie", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove every follow record for a user
+ * Returns the number of deleted records
+ */
+async function deleteAllFollows(userId) {
+  try {
+    const records = await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: eq("UserID", userId),
+      fields: ["UserID"],
+    });
+
+    if (records.length === 0) return 0;
+
+    await deleteRecords(
+      AIRTABLE_FOLLOWED_MOVIES_TABLE,
+      records.map((record) => record.id)
+    );
+
+    return records.length;
+  } catch (error) {
+    logError("deleteAllFollows", error);
+    throw error;
+  }
+}
+
+/**
+ * Get follow records of one type whose release date falls on the given day
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @param {string} followType - "theatrical" (ReleaseDate) or "streaming" (StreamingReleaseDate)
+ */
+async function getFollowsReleasingOn(dateStr, followType) {
+  const dateField =
+    followType === "streaming" ? "StreamingReleaseDate" : "ReleaseDate";
+
+  try {
+    return await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: and(
+        isSameDay(dateField, dateStr),
+        eq("FollowType", followType)
+      ),
+    });
+  } catch (error) {
+    logError("getFollowsReleasingOn", error);
+    throw error;
+  }
+}
+
+/**
+ * Get follow records the date job should check: those still missing a
+ * theatrical date (or a streaming date for streaming/both follows), and those
+ * whose dates are still ahead and may be moved
+ * Least recently checked records (by DatesCheckedAt, blanks first) come first,
+ * so a job that stops part-way resumes with the records it didn't reach
+ * @param {Object} options - { today: YYYY-MM-DD, maxRecords }
+ */
+async function getFollowsForDateCheck({ today, maxRecords } = {}) {
+  const filterFormula = or(
+    blank("ReleaseDate"),
+    and(
+      or(eq("FollowType", "streaming"), eq("FollowType", "both")),
+      not(field("StreamingDateAvailable"))
+    ),
+    isOnOrAfterDay("ReleaseDate", today),
+    isOnOrAfterDay("StreamingReleaseDate", today)
+  );
+
+  try {
+    return await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: filterFormula,
+      sort: [{ field: "DatesCheckedAt", direction: "asc" }],
+      maxRecords,
+    });
+  } catch (error) {
+    logError("getFollowsForDateCheck", error);
+    throw error;
+  }
+}
+
+/**
+ * Get follow records for the weekly digest: those with a theatrical or
+ * streaming date between two days (inclusive), and those given a new or moved
+ * date on or after a day. The caller checks which date matches the follow type
+ * @param {Object} options - { from, to, since } in YYYY-MM-DD format
+ */
+async function getFollowsForWeeklyDigest({ from, to, since }) {
+  const filterFormula = or(
+    and(isOnOrAfterDay("ReleaseDate", from), isOnOrBeforeDay("ReleaseDate", to)),
+    and(
+      isOnOrAfterDay("StreamingReleaseDate", from),
+      isOnOrBeforeDay("StreamingReleaseDate", to)
+    ),
+    isOnOrAfterDay("DateAnnouncedAt", since),
+    isOnOrAfterDay("DateChangedAt", since)
+  );
+
+  try {
+    return await listRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, {
+      filterByFormula: filterFormula,
+    });
+  } catch (error) {
+    logError("getFollowsForWeeklyDigest", error);
+    throw error;
+  }
+}
+
+/**
+ * Update follow records, up to 10 per request
+ * @param {Array<{id: string, fields: Object}>} updates
+ */
+async function updateFollows(updates) {
+  try {
+    return await updateRecords(AIRTABLE_FOLLOWED_MOVIES_TABLE, updates);
+  } catch (error) {
+    logError("updateFollows", error);
+    throw error;
+  }
+}
+
+/**
+ * Get notification log entries by their Key (user, movie, follow type, date)
+ * @param {Array<string>} keys - Entry keys
+ */
+async function getNotificationLogByKeys(keys) {
+  const chunks = [];
+  for (let i = 0; i < keys.length; i += KEY_LOOKUP_CHUNK_SIZE) {
+    chunks.push(keys.slice(i, i + KEY_LOOKUP_CHUNK_SIZE));
+  }
+
+  try {
+    const results = await Promise.all(
+      chunks.map((chunk) =>
+        listRecords(AIRTABLE_NOTIFICATION_LOG_TABLE, {
+          filterByFormula: or(...chunk.map((key) => eq("Key", key))),
+        })
+      )
+    );
+    return results.flat();
+  } catch (error) {
+    logError("getNotificationLogByKeys", error);
+    throw error;
+  }
+}
+
+/**
+ * Get notification log entries with the given Status (e.g. "failed")
+ */
+async function getNotificationLogByStatus(status) {
+  try {
+    return await listRecords(AIRTABLE_NOTIFICATION_LOG_TABLE, {
+      filterByFormula: eq("Status", status),
+    });
+  } catch (error) {
+    logError("getNotificationLogByStatus", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim notification log entries: create the new ones and mark the retried
+ * ones "sending", up to 10 per request. Airtable has no unique fields or
+ * conditional writes, so unlike SQLite every claim succeeds; jobs that claim
+ * share one job lock (NOTIFICATION_LOG_LOCK) so two never overlap.
+ * @param {Array<Object>} creates - Fields of new entries
+ * @param {Array<{id: string, fields: Object}>} reclaims - Entries to retry
+ * @returns {Promise<[Array<Object>, Array<Object>]>} Created and updated records
+ */
+async function claimNotificationLogEntries(creates, reclaims) {
+  try {
+    return await Promise.all([
+      createRecords(AIRTABLE_NOTIFICATION_LOG_TABLE, creates),
+      updateRecords(
+        AIRTABLE_NOTIFICATION_LOG_TABLE,
+        reclaims.map(({ id, fields }) => ({ id, fields }))
+      ),
+    ]);
+  } catch (error) {
+    logError("claimNotificationLogEntries", error);
+    throw error;
+  }
+}
+
+/**
+ * Update notification log entries, up to 10 per request
+ * @param {Array<{id: string, fields: Object}>} updates
+ */
+async function updateNotificationLogEntries(updates) {
+  try {
+    return await updateRecords(AIRTABLE_NOTIFICATION_LOG_TABLE, updates);
+  } catch (error) {
+    logError("updateNotificationLogEntries", error);
+    throw error;
+  }
+}
+
+/**
+ * Record the start of a scheduled or HTTP-triggered job run
+ */
+async function createJobRun(fields) {
+  try {
+    const [record] = await createRecords(AIRTABLE_JOB_RUNS_TABLE, [fields]);
+    return record;
+  } catch (error) {
+    logError("createJobRun", error);
+    throw error;
+  }
+}
+
+async function updateJobRun(recordId, fields) {
+  try {
+    const [record] = await updateRecords(AIRTABLE_JOB_RUNS_TABLE, [
+      { id: recordId, fields },
+    ]);
+    return record;
+  } catch (error) {
+    logError("updateJobRun", error);
+    throw error;
+  }
+}
+
+/**
+ * Get job runs, newest first
+ * @param {Object} options - { job, lock, status, limit } (all optional)
+ */
+async function getJobRuns({ job, lock, status, limit } = {}) {
+  const conditions = [
+    job && eq("Job", job),
+    lock && eq("Lock", lock),
+    status && eq("Status", status),
+  ].filter(Boolean);
+
+  try {
+    return await listRecords(AIRTABLE_JOB_RUNS_TABLE, {
+      ...(conditions.length > 0 && { filterByFormula: and(...conditions) }),
+      sort: [{ field: "StartedAt", direction: "desc" }],
+      maxRecords: limit,
+    });
+  } catch (error) {
+    logError("getJobRuns", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the feed entries of the given movies (see services/movie-feeds.js)
+ */
+async function getFeedEntries(tmdbIds) {
+  const chunks = [];
+  for (let i = 0; i < tmdbIds.length; i += KEY_LOOKUP_CHUNK_SIZE) {
+    chunks.push(tmdbIds.slice(i, i + KEY_LOOKUP_CHUNK_SIZE));
+  }
+
+  try {
+    const results = await Promise.all(
+      chunks.map((chunk) =>
+        listRecords(AIRTABLE_FEED_ENTRIES_TABLE, {
+          filterByFormula: or(...chunk.map((tmdbId) => eq("TMDB_ID", Number(tmdbId)))),
+        })
+      )
+    );
+    return results.flat();
+  } catch (error) {
+    logError("getFeedEntries", error);
+    throw error;
+  }
+}
+
+async function createFeedEntries(fieldsList) {
+  try {
+    return await createRecords(AIRTABLE_FEED_ENTRIES_TABLE, fieldsList);
+  } catch (error) {
+    logError("createFeedEntries", error);
+    throw error;
+  }
+}
+
+async function updateFeedEntries(updates) {
+  try {
+    return await updateRecords(AIRTABLE_FEED_ENTRIES_TABLE, updates);
+  } catch (error) {
+    logError("updateFeedEntries", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: "airtable",
+  airtableAxios,
+  requestQueue,
+  listRecords,
+  getUsersByEmail,
+  getUserByRecordId,
+  createUser,
+  findUsers,
+  findUsersWithField,
+  updateUser,
+  deleteUser,
+  getFollowedMoviesByUserId,
+  createFollows,
+  deleteFollows,
+  deleteAllFollows,
+  getFollowsReleasingOn,
+  getFollowsForDateCheck,
+  getFollowsForWeeklyDigest,
+  updateFollows,
+  getNotificationLogByKeys,
+  getNotificationLogByStatus,
+  claimNotificationLogEntries,
+  updateNotificationLogEntries,
+  createJobRun,
+  updateJobRun,
+  getJobRuns,
+  getFeedEntries,
+  createFeedEntries,
+  updateFeedEntries,
+};
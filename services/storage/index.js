@@ -0,0 +1,32 @@
+/**
+ * Storage backend selection
+ * STORAGE_BACKEND=airtable (default) or sqlite
+ *
+ * Every backend exposes the same record-level interface and returns records
+ * in Airtable's { id, createdTime, fields } shape:
+ *   Users:   getUsersByEmail, getUserByRecordId, createUser, findUsers,
+ *            findUsersWithField, updateUser, deleteUser
+ *   Follows: getFollowedMoviesByUserId, createFollows, deleteFollows,
+ *            deleteAllFollows, updateFollows
+ *   Jobs:    getFollowsReleasingOn, getFollowsForDateCheck,
+ *            getFollowsForWeeklyDigest
+ *   Notification log: getNotificationLogByKeys, getNotificationLogByStatus,
+ *            claimNotificationLogEntries, updateNotificationLogEntries
+ *   Job runs: createJobRun, updateJobRun, getJobRuns
+ *   Feed entries: getFeedEntries, createFeedEntries, updateFeedEntries
+ */
+
+const backends = {
+  airtable: () => require("./airtable-store"),
+  sqlite: () => require("./sqlite-store"),
+};
+
+const backendName = (process.env.STORAGE_BACKEND || "airtable").toLowerCase();
+
+if (!backends[backendName]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backendName}" (expected: ${Object.keys(backends).join(", ")})`
+  );
+}
+
+module.exports = backends[backendName]();
@@ -0,0 +1,456 @@
+// services/storage/sqlite-store.js
+// Local SQLite backend. Records are stored as JSON "fields" blobs so they keep
+// the same { id, createdTime, fields } shape as Airtable records.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { v4: uuidv4 } = require("uuid");
+
+const USERS_TABLE = "users";
+const FOLLOWED_MOVIES_TABLE = "followed_movies";
+const NOTIFICATION_LOG_TABLE = "notification_log";
+const JOB_RUNS_TABLE = "job_runs";
+const FEED_ENTRIES_TABLE = "feed_entries";
+
+const dbPath =
+  process.env.SQLITE_PATH ||
+  path.join(__dirname, "..", "..", "data", "movie-tracker.db");
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  if (dbPath !== ":memory:") {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${USERS_TABLE} (
+      id TEXT PRIMARY KEY,
+      created_time TEXT NOT NULL,
+      fields TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_email
+      ON ${USERS_TABLE} (lower(json_extract(fields, '$.Email')));
+
+    CREATE TABLE IF NOT EXISTS ${FOLLOWED_MOVIES_TABLE} (
+      id TEXT PRIMARY KEY,
+      created_time TEXT NOT NULL,
+      fields TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_followed_movies_user
+      ON ${FOLLOWED_MOVIES_TABLE} (json_extract(fields, '$.UserID'));
+
+    CREATE TABLE IF NOT EXISTS ${NOTIFICATION_LOG_TABLE} (
+      id TEXT PRIMARY KEY,
+      created_time TEXT NOT NULL,
+      fields TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_log_status
+      ON ${NOTIFICATION_LOG_TABLE} (json_extract(fields, '$.Status'));
+
+    CREATE TABLE IF NOT EXISTS ${JOB_RUNS_TABLE} (
+      id TEXT PRIMARY KEY,
+      created_time TEXT NOT NULL,
+      fields TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job
+      ON ${JOB_RUNS_TABLE} (json_extract(fields, '$.Job'), json_extract(fields, '$.StartedAt'));
+
+    CREATE TABLE IF NOT EXISTS ${FEED_ENTRIES_TABLE} (
+      id TEXT PRIMARY KEY,
+      created_time TEXT NOT NULL,
+      fields TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_feed_entries_tmdb
+      ON ${FEED_ENTRIES_TABLE} (json_extract(fields, '$.TMDB_ID'));
+  `);
+
+  // One log entry per Key, so two runs can't both claim a notification. The
+  // key index used to allow duplicates: keep the most settled entry of each
+  // key (sent or queued, then sending, then the oldest) before adding it.
+  const hasUniqueKey = db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_notification_log_key_unique'")
+    .get();
+  if (!hasUniqueKey) {
+    db.exec(`
+      DELETE FROM ${NOTIFICATION_LOG_TABLE} WHERE id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY json_extract(fields, '$.Key')
+            ORDER BY
+              CASE json_extract(fields, '$.Status')
+                WHEN 'sent' THEN 0 WHEN 'queued' THEN 0 WHEN 'sending' THEN 1 ELSE 2
+              END,
+              created_time
+          ) AS position
+          FROM ${NOTIFICATION_LOG_TABLE}
+        ) WHERE position > 1
+      );
+      DROP INDEX IF EXISTS idx_notification_log_key;
+      CREATE UNIQUE INDEX idx_notification_log_key_unique
+        ON ${NOTIFICATION_LOG_TABLE} (json_extract(fields, '$.Key'));
+    `);
+  }
+
+  return db;
+}
+
+// Airtable omits empty fields from records, so drop them here too
+function compactFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) => value !== null && value !== undefined && value !== ""
+    )
+  );
+}
+
+// Field names are interpolated into JSON paths, so only allow plain identifiers
+function jsonPath(fieldName) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(fieldName)) {
+    throw new Error(`Invalid field name: ${fieldName}`);
+  }
+  return `$.${fieldName}`;
+}
+
+function toRecord(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    createdTime: row.created_time,
+    fields: JSON.parse(row.fields),
+  };
+}
+
+function selectRecords(
+  table,
+  where = "1 = 1",
+  params = [],
+  { orderBy = "created_time", limit = -1 } = {}
+) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM ${table} WHERE (${where}) ORDER BY ${orderBy} LIMIT ?`
+    )
+    .all(...params, limit)
+    .map(toRecord);
+}
+
+function newRow(fields) {
+  return {
+    id: `rec${uuidv4().replace(/-/g, "").slice(0, 14)}`,
+    created_time: new Date().toISOString(),
+    fields: JSON.stringify(compactFields(fields)),
+  };
+}
+
+function insertRecord(table, fields) {
+  const record = newRow(fields);
+  getDb()
+    .prepare(
+      `INSERT INTO ${table} (id, created_time, fields) VALUES (@id, @created_time, @fields)`
+    )
+    .run(record);
+  return toRecord(record);
+}
+
+// json_patch removes keys whose patch value is null, matching Airtable clears
+function toPatch(fields) {
+  return JSON.stringify(
+    Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [
+        key,
+        value === undefined || value === "" ? null : value,
+      ])
+    )
+  );
+}
+
+function getRecord(table, id) {
+  return toRecord(
+    getDb().prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id)
+  );
+}
+
+function patchRecord(table, id, fields) {
+  getDb()
+    .prepare(`UPDATE ${table} SET fields = json_patch(fields, ?) WHERE id = ?`)
+    .run(toPatch(fields), id);
+  return getRecord(table, id);
+}
+
+async function getUsersByEmail(email) {
+  return selectRecords(
+    USERS_TABLE,
+    "lower(json_extract(fields, '$.Email')) = ?",
+    [email.toLowerCase()]
+  );
+}
+
+async function getUserByRecordId(recordId) {
+  return toRecord(
+    getDb().prepare(`SELECT * FROM ${USERS_TABLE} WHERE id = ?`).get(recordId)
+  );
+}
+
+async function createUser(userData) {
+  return insertRecord(USERS_TABLE, userData);
+}
+
+async function findUsers(fieldName, fieldValue) {
+  return selectRecords(USERS_TABLE, "json_extract(fields, ?) = ?", [
+    jsonPath(fieldName),
+    fieldValue,
+  ]);
+}
+
+async function findUsersWithField(fieldName) {
+  return selectRecords(USERS_TABLE, "json_extract(fields, ?) IS NOT NULL", [
+    jsonPath(fieldName),
+  ]);
+}
+
+async function updateUser(recordId, fields) {
+  return patchRecord(USERS_TABLE, recordId, fields);
+}
+
+async function deleteUser(recordId) {
+  getDb().prepare(`DELETE FROM ${USERS_TABLE} WHERE id = ?`).run(recordId);
+}
+
+async function getFollowedMoviesByUserId(userId) {
+  return selectRecords(
+    FOLLOWED_MOVIES_TABLE,
+    "json_extract(fields, '$.UserID') = ?",
+    [userId]
+  );
+}
+
+async function createFollows(fieldsList) {
+  const insertAll = getDb().transaction((list) =>
+    list.map((fields) => insertRecord(FOLLOWED_MOVIES_TABLE, fields))
+  );
+  return insertAll(fieldsList);
+}
+
+async function deleteFollows(userId, tmdbId, followType = null) {
+  let where = `json_extract(fields, '$.UserID') = ? AND json_extract(fields, '$.TMDB_ID') = ?`;
+  const params = [userId, Number(tmdbId)];
+
+  if (followType && followType.toLowerCase() !== "both") {
+    where += ` AND json_extract(fields, '$.FollowType') = ?`;
+    params.push(followType.toLowerCase());
+  } else if (followType && followType.toLowerCase() === "both") {
+    where += ` AND json_extract(fields, '$.FollowType') IN ('theatrical', 'streaming')`;
+  }
+
+  const result = getDb()
+    .prepare(`DELETE FROM ${FOLLOWED_MOVIES_TABLE} WHERE ${where}`)
+    .run(...params);
+  return result.changes;
+}
+
+async function deleteAllFollows(userId) {
+  const result = getDb()
+    .prepare(
+      `DELETE FROM ${FOLLOWED_MOVIES_TABLE} WHERE json_extract(fields, '$.UserID') = ?`
+    )
+    .run(userId);
+  return result.changes;
+}
+
+async function getFollowsReleasingOn(dateStr, followType) {
+  const dateField =
+    followType === "streaming" ? "StreamingReleaseDate" : "ReleaseDate";
+
+  return selectRecords(
+    FOLLOWED_MOVIES_TABLE,
+    `substr(json_extract(fields, '$.${dateField}'), 1, 10) = ? AND json_extract(fields, '$.FollowType') = ?`,
+    [dateStr, followType]
+  );
+}
+
+async function getFollowsForDateCheck({ today, maxRecords } = {}) {
+  return selectRecords(
+    FOLLOWED_MOVIES_TABLE,
+    `json_extract(fields, '$.ReleaseDate') IS NULL
+      OR (
+        json_extract(fields, '$.FollowType') IN ('streaming', 'both')
+        AND NOT coalesce(json_extract(fields, '$.StreamingDateAvailable'), 0)
+      )
+      OR substr(json_extract(fields, '$.ReleaseDate'), 1, 10) >= ?
+      OR substr(json_extract(fields, '$.StreamingReleaseDate'), 1, 10) >= ?`,
+    [today, today],
+    {
+      // NULLs sort first, so never-checked records lead
+      orderBy: "json_extract(fields, '$.DatesCheckedAt'), created_time",
+      limit: maxRecords || -1,
+    }
+  );
+}
+
+async function getFollowsForWeeklyDigest({ from, to, since }) {
+  return selectRecords(
+    FOLLOWED_MOVIES_TABLE,
+    `substr(json_extract(fields, '$.ReleaseDate'), 1, 10) BETWEEN ? AND ?
+      OR substr(json_extract(fields, '$.StreamingReleaseDate'), 1, 10) BETWEEN ? AND ?
+      OR substr(json_extract(fields, '$.DateAnnouncedAt'), 1, 10) >= ?
+      OR substr(json_extract(fields, '$.DateChangedAt'), 1, 10) >= ?`,
+    [from, to, from, to, since, since]
+  );
+}
+
+async function updateFollows(updates) {
+  const patchAll = getDb().transaction((list) =>
+    list.map(({ id, fields }) => patchRecord(FOLLOWED_MOVIES_TABLE, id, fields))
+  );
+  return patchAll(updates);
+}
+
+async function getNotificationLogByKeys(keys) {
+  if (keys.length === 0) return [];
+  return selectRecords(
+    NOTIFICATION_LOG_TABLE,
+    `json_extract(fields, '$.Key') IN (${keys.map(() => "?").join(", ")})`,
+    keys
+  );
+}
+
+async function getNotificationLogByStatus(status) {
+  return selectRecords(
+    NOTIFICATION_LOG_TABLE,
+    "json_extract(fields, '$.Status') = ?",
+    [status]
+  );
+}
+
+// Each claim only succeeds if no other run got there first: new entries are
+// skipped when their Key is already logged, and retried ones when their
+// Status/ClaimedAt no longer match what the caller read. Lost claims are null.
+async function claimNotificationLogEntries(creates, reclaims) {
+  const db = getDb();
+  const insert = db.prepare(
+    `INSERT INTO ${NOTIFICATION_LOG_TABLE} (id, created_time, fields)
+      VALUES (@id, @created_time, @fields) ON CONFLICT DO NOTHING`
+  );
+  const reclaim = db.prepare(
+    `UPDATE ${NOTIFICATION_LOG_TABLE} SET fields = json_patch(fields, @patch)
+      WHERE id = @id
+        AND json_extract(fields, '$.Status') = @status
+        AND coalesce(json_extract(fields, '$.ClaimedAt'), '') = @claimedAt`
+  );
+
+  const claimAll = db.transaction(() => [
+    creates.map((fields) => {
+      const row = newRow(fields);
+      return insert.run(row).changes > 0 ? toRecord(row) : null;
+    }),
+    reclaims.map(({ id, fields, expected }) => {
+      const { changes } = reclaim.run({
+        id,
+        patch: toPatch(fields),
+        status: expected.Status,
+        claimedAt: expected.ClaimedAt || "",
+      });
+      return changes > 0 ? getRecord(NOTIFICATION_LOG_TABLE, id) : null;
+    }),
+  ]);
+  return claimAll();
+}
+
+async function updateNotificationLogEntries(updates) {
+  const patchAll = getDb().transaction((list) =>
+    list.map(({ id, fields }) => patchRecord(NOTIFICATION_LOG_TABLE, id, fields))
+  );
+  return patchAll(updates);
+}
+
+async function createJobRun(fields) {
+  return insertRecord(JOB_RUNS_TABLE, fields);
+}
+
+async function updateJobRun(recordId, fields) {
+  return patchRecord(JOB_RUNS_TABLE, recordId, fields);
+}
+
+async function getJobRuns({ job, lock, status, limit } = {}) {
+  const conditions = [];
+  const params = [];
+  if (job) {
+    conditions.push("json_extract(fields, '$.Job') = ?");
+    params.push(job);
+  }
+  if (lock) {
+    conditions.push("json_extract(fields, '$.Lock') = ?");
+    params.push(lock);
+  }
+  if (status) {
+    conditions.push("json_extract(fields, '$.Status') = ?");
+    params.push(status);
+  }
+
+  return selectRecords(
+    JOB_RUNS_TABLE,
+    conditions.join(" AND ") || undefined,
+    params,
+    {
+      orderBy: "json_extract(fields, '$.StartedAt') DESC, created_time DESC",
+      limit: limit || -1,
+    }
+  );
+}
+
+async function getFeedEntries(tmdbIds) {
+  if (tmdbIds.length === 0) return [];
+  return selectRecords(
+    FEED_ENTRIES_TABLE,
+    `json_extract(fields, '$.TMDB_ID') IN (${tmdbIds.map(() => "?").join(", ")})`,
+    tmdbIds.map(Number)
+  );
+}
+
+async function createFeedEntries(fieldsList) {
+  const insertAll = getDb().transaction((list) =>
+    list.map((fields) => insertRecord(FEED_ENTRIES_TABLE, fields))
+  );
+  return insertAll(fieldsList);
+}
+
+async function updateFeedEntries(updates) {
+  const patchAll = getDb().transaction((list) =>
+    list.map(({ id, fields }) => patchRecord(FEED_ENTRIES_TABLE, id, fields))
+  );
+  return patchAll(updates);
+}
+
+module.exports = {
+  name: "sqlite",
+  getUsersByEmail,
+  getUserByRecordId,
+  createUser,
+  findUsers,
+  findUsersWithField,
+  updateUser,
+  deleteUser,
+  getFollowedMoviesByUserId,
+  createFollows,
+  deleteFollows,
+  deleteAllFollows,
+  getFollowsReleasingOn,
+  getFollowsForDateCheck,
+  getFollowsForWeeklyDigest,
+  updateFollows,
+  getNotificationLogByKeys,
+  getNotificationLogByStatus,
+  claimNotificationLogEntries,
+  updateNotificationLogEntries,
+  createJobRun,
+  updateJobRun,
+  getJobRuns,
+  getFeedEntries,
+  createFeedEntries,
+  updateFeedEntries,
+};
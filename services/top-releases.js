@@ -0,0 +1,72 @@
+// services/top-releases.js
+// Movies that reached streaming or digital in the last six months, as listed
+// on /top-releases and in its RSS/Atom feeds
+const { processMoviesWithDates, filterMovies, sortMovies } = require("./movie-processor");
+const { discoverMovies } = require("./tmdb");
+const { toUtcMidnight } = require("../utils/date-helpers");
+
+// Our sort options -> TMDB's sort_by parameter
+// "newest" uses popularity server-side, then sorts by streaming date here
+const TMDB_SORT_BY = {
+  popularity: "popularity.desc",
+  rating: "vote_average.desc",
+  newest: "popularity.desc",
+};
+
+/**
+ * First batch of top releases, fetching TMDB discover pages until there are
+ * enough movies with a recent streaming date
+ * @param {Object} options
+ * @param {string} [options.sortBy] - popularity, rating or newest
+ * @param {string|null} [options.genre] - TMDB genre ID
+ * @param {number} [options.limit] - Number of movies to return
+ * @returns {Promise<{movies: Array<Object>, pagesUsed: number}>} Processed movies and
+ * how many TMDB pages were consumed (load more continues from there)
+ */
+async function getTopReleases({ sortBy = "popularity", genre = null, limit = 20 } = {}) {
+  const now = toUtcMidnight(new Date());
+  const sixMonthsAgo = new Date(now);
+  sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+  // Increase pages when filtering to account for genre filtering reducing results
+  const maxPagesToFetch = genre ? 8 : 3;
+  const tmdbSortBy = TMDB_SORT_BY[sortBy] || TMDB_SORT_BY.popularity;
+
+  let allValidMovies = [];
+  let tmdbPage = 1;
+
+  while (allValidMovies.length < limit && tmdbPage <= maxPagesToFetch) {
+    const apiParams = {
+      api_key: process.env.TMDB_API_KEY,
+      page: tmdbPage,
+      region: "US",
+      sort_by: tmdbSortBy,
+      "primary_release_date.gte": sixMonthsAgo.toISOString().split("T")[0],
+      "primary_release_date.lte": now.toISOString().split("T")[0],
+      with_release_type: "4|5", // Digital and Physical releases
+    };
+
+    // Add genre filter to TMDB API call for better server-side filtering
+    if (genre) {
+      apiParams.with_genres = genre;
+    }
+
+    const response = await discoverMovies(apiParams);
+
+    // Keep movies with recent streaming releases
+    const processedMovies = await processMoviesWithDates(response.results, { type: "releases" });
+    const validMovies = filterMovies(processedMovies, { type: "releases" });
+
+    allValidMovies = allValidMovies.concat(validMovies);
+    tmdbPage++;
+  }
+
+  return {
+    movies: sortMovies(allValidMovies, sortBy).slice(0, limit),
+    pagesUsed: tmdbPage - 1,
+  };
+}
+
+module.exports = {
+  getTopReleases,
+};
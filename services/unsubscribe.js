@@ -0,0 +1,101 @@
+// services/unsubscribe.js
+// Signed one-click unsubscribe links. Every notification email carries
+// List-Unsubscribe headers pointing at /unsubscribe/<token>; the token names
+// the user and the categories of email it turns off, so no login is needed.
+const { getUserByRecordId, updateUser } = require("./airtable");
+const {
+  getNotificationPreferences,
+  preferencesToFields,
+} = require("./notification-preferences");
+const { createSignedToken, verifySignedToken } = require("../utils/tokens");
+const { APP_BASE_URL } = require("../utils/app-config");
+
+const UNSUBSCRIBE_TOKEN_PURPOSE = "unsubscribe";
+const UNSUBSCRIBE_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year, emails get read late
+
+// Category -> what it turns off in the user's notification preferences
+const UNSUBSCRIBE_CATEGORIES = {
+  theatrical: { label: "theatrical release", apply: (prefs) => ({ ...prefs, theatrical: false }) },
+  streaming: { label: "streaming release", apply: (prefs) => ({ ...prefs, streaming: false }) },
+  newDates: { label: "release date", apply: (prefs) => ({ ...prefs, newDates: false }) },
+  reminders: { label: "advance reminder", apply: (prefs) => ({ ...prefs, reminderDays: [] }) },
+  weeklySummary: { label: "weekly summary", apply: (prefs) => ({ ...prefs, weeklySummary: false }) },
+};
+
+/**
+ * Signed unsubscribe URL for a user and categories of email
+ * @param {string} userRecordId - Users record ID
+ * @param {Array<string>} categories - Keys of UNSUBSCRIBE_CATEGORIES
+ */
+function createUnsubscribeUrl(userRecordId, categories) {
+  const token = createSignedToken(
+    UNSUBSCRIBE_TOKEN_PURPOSE,
+    { u: userRecordId, c: [...new Set(categories)] },
+    UNSUBSCRIBE_TOKEN_TTL_MS
+  );
+  return `${APP_BASE_URL}/unsubscribe/${token}`;
+}
+
+/**
+ * List-Unsubscribe headers (RFC 8058 one-click) for a notification email
+ * @param {string} userRecordId - Users record ID
+ * @param {Array<string>} categories - Keys of UNSUBSCRIBE_CATEGORIES
+ * @returns {Object} Headers for sendEmail
+ */
+function unsubscribeHeaders(userRecordId, categories) {
+  return {
+    "List-Unsubscribe": `<${createUnsubscribeUrl(userRecordId, categories)}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+/**
+ * Read an unsubscribe link token
+ * @param {string} token - Token from the link
+ * @returns {{userRecordId: string, categories: Array<string>}|null} Null if invalid or expired
+ */
+function readUnsubscribeToken(token) {
+  const payload = verifySignedToken(token, UNSUBSCRIBE_TOKEN_PURPOSE);
+  if (!payload || !Array.isArray(payload.c)) return null;
+
+  const categories = payload.c.filter((category) => UNSUBSCRIBE_CATEGORIES[category]);
+  if (categories.length === 0) return null;
+
+  return { userRecordId: payload.u, categories };
+}
+
+/**
+ * Human-readable list of categories, e.g. "theatrical release and release date"
+ */
+function describeCategories(categories) {
+  const labels = categories.map((category) => UNSUBSCRIBE_CATEGORIES[category].label);
+  if (labels.length <= 1) return labels.join("");
+  return `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Turn off the given categories of email for a user
+ * @returns {Promise<boolean>} False if the user no longer exists
+ */
+async function unsubscribe(userRecordId, categories) {
+  const user = await getUserByRecordId(userRecordId);
+  if (!user) return false;
+
+  const preferences = categories.reduce(
+    (prefs, category) => UNSUBSCRIBE_CATEGORIES[category].apply(prefs),
+    getNotificationPreferences(user)
+  );
+  await updateUser(user.id, preferencesToFields(preferences));
+
+  console.log(`[UNSUBSCRIBE] User ${user.id} unsubscribed from: ${categories.join(", ")}`);
+  return true;
+}
+
+module.exports = {
+  UNSUBSCRIBE_CATEGORIES,
+  createUnsubscribeUrl,
+  unsubscribeHeaders,
+  readUnsubscribeToken,
+  describeCategories,
+  unsubscribe,
+};
@@ -0,0 +1,59 @@
+// services/verification-email.js
+const sendEmail = require("./send-email");
+const { generateVerificationEmailHTML } = require("./email-templates");
+const { createSignedToken, verifySignedToken } = require("../utils/tokens");
+const { APP_BASE_URL } = require("../utils/app-config");
+
+const VERIFY_TOKEN_PURPOSE = "verify-email";
+const VERIFY_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Email a signed verification link to a user
+ * The token carries the record ID and address, so a link sent before an
+ * email change can't verify the new address
+ * @param {Object} user - User record
+ */
+async function sendVerificationEmail(user) {
+  const token = createSignedToken(
+    VERIFY_TOKEN_PURPOSE,
+    { u: user.id, e: user.fields.Email },
+    VERIFY_TOKEN_TTL_MS
+  );
+
+  return sendEmail({
+    to: user.fields.Email,
+    subject: "✉️ Verify your Movie Release Tracker email",
+    htmlContent: generateVerificationEmailHTML({
+      name: user.fields.Name,
+      verifyUrl: `${APP_BASE_URL}/auth/verify/${token}`,
+    }),
+  });
+}
+
+/**
+ * Whether a user's email address counts as verified
+ * Only accounts that were sent a link and haven't used it yet are unverified
+ * (VerificationPending, set on registration and email change), so accounts
+ * from before verification existed keep getting notifications
+ * @param {Object} user - User record
+ */
+function isEmailVerified(user) {
+  return Boolean(user.fields.Verified) || !user.fields.VerificationPending;
+}
+
+/**
+ * Read a verification link token
+ * @param {string} token - Token from the link
+ * @returns {{userRecordId: string, email: string}|null} Null if invalid or expired
+ */
+function readVerificationToken(token) {
+  const payload = verifySignedToken(token, VERIFY_TOKEN_PURPOSE);
+  if (!payload) return null;
+  return { userRecordId: payload.u, email: payload.e };
+}
+
+module.exports = {
+  sendVerificationEmail,
+  isEmailVerified,
+  readVerificationToken,
+};
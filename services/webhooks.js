@@ -0,0 +1,461 @@
+// services/webhooks.js
+// Release alerts posted to a chat channel or any HTTP endpoint, alongside
+// email. Each user can set one webhook (stored as JSON in Users.Webhook:
+// url, format, secret). Payloads are shaped for Discord, Slack or plain
+// JSON, and every request is signed with the webhook's secret:
+//
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<raw body>")
+//
+// Webhooks always fire right away, even for users on an email digest.
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+const { updateUser } = require("./airtable");
+const { generateToken } = require("../utils/tokens");
+const { formatDisplayDate } = require("../utils/date-helpers");
+const { APP_BASE_URL, EMAIL_LOGO_URL } = require("../utils/app-config");
+
+const WEBHOOK_FORMATS = {
+  discord: "Discord",
+  slack: "Slack",
+  json: "JSON (any other service)",
+};
+
+const SENDER_NAME = "Movie Release Tracker";
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+const RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN"];
+const MAX_MOVIES_PER_MESSAGE = 10; // Discord allows 10 embeds per message
+
+// Local, private and reserved addresses are only allowed outside production,
+// for testing against a receiver on your own machine. Hostnames are resolved
+// and checked when a webhook is saved and again on every connection, and the
+// request goes to the address that was checked, so a DNS change can't point
+// it somewhere internal later. Redirects are never followed.
+const ALLOW_LOCAL_WEBHOOKS = process.env.NODE_ENV !== "production";
+// One list per family: a BlockList also matches IPv4 addresses against IPv6
+// rules in their ::ffff: form, which the IPv4-mapped range below would block
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24], // Protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.ipv4.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["::ffff:0:0", 96], // IPv4-mapped, could hide a private address
+  ["64:ff9b::", 96], // NAT64, same
+  ["100::", 64], // Discard
+  ["2001::", 23], // Protocol assignments, including Teredo
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4, embeds an IPv4 address
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.ipv6.addSubnet(address, prefix, "ipv6"));
+
+function isBlockedAddress(address) {
+  const ipVersion = net.isIP(address);
+  if (!ipVersion) return true;
+  const family = ipVersion === 6 ? "ipv6" : "ipv4";
+  return BLOCKED_ADDRESSES[family].check(address, family);
+}
+
+/**
+ * dns.lookup for webhook connections: fails when the host has any blocked
+ * address, so the socket only connects to one that passed the check
+ */
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!ALLOW_LOCAL_WEBHOOKS && addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a private or reserved address`);
+      blocked.code = "EBLOCKEDADDRESS";
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// IP literals skip the lookup; isAllowedWebhookUrl covers those
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+// Event -> message heading and one line per movie
+const WEBHOOK_EVENTS = {
+  release: {
+    heading: (count) =>
+      count === 1 ? "A movie you follow is out today" : `${count} movies you follow are out today`,
+    line: (movie) => (movie.followType === "streaming" ? "📺 Now streaming" : "🎬 Now in theaters"),
+  },
+  dateAnnounced: {
+    heading: (count) =>
+      count === 1 ? "New release date announced" : `New release dates for ${count} movies`,
+    line: (movie) =>
+      movie.followType === "streaming"
+        ? `📺 Streaming ${formatDisplayDate(movie.date)}`
+        : `🎬 In theaters ${formatDisplayDate(movie.date)}`,
+  },
+  dateChanged: {
+    heading: (count) =>
+      count === 1 ? "Release date changed" : `Release dates changed for ${count} movies`,
+    line: (movie) =>
+      `📅 ${movie.followType === "streaming" ? "Streaming" : "Theatrical"} date moved from ${formatDisplayDate(
+        movie.previousDate
+      )} to ${formatDisplayDate(movie.date)}`,
+  },
+  test: {
+    heading: () => "✅ Your webhook works! Release alerts will look like this",
+    line: (movie) => (movie.followType === "streaming" ? "📺 Now streaming" : "🎬 Now in theaters"),
+  },
+};
+
+const TEST_MOVIE = {
+  tmdbId: 693134,
+  title: "Dune: Part Two",
+  posterPath: "/1pdfLvkbY9ohJlCjQH2CZjjYVvJ.jpg",
+  followType: "theatrical",
+  date: "2024-03-01",
+};
+
+/**
+ * Whether a URL may be used as a webhook: https, no credentials, and not a
+ * local or private address (outside development)
+ * @param {string} value - URL from the settings form
+ */
+function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.username || url.password) return false;
+  if (url.protocol !== "https:" && !(ALLOW_LOCAL_WEBHOOKS && url.protocol === "http:")) {
+    return false;
+  }
+  if (ALLOW_LOCAL_WEBHOOKS) return true;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || /\.(localhost|local|internal)$/.test(host)) return false;
+
+  return !(net.isIP(host) && isBlockedAddress(host));
+}
+
+/**
+ * Resolve a webhook URL's host the way deliveries will
+ * @param {string} value - URL that passed isAllowedWebhookUrl
+ * @returns {Promise<string|null>} Message for the settings page, or null if
+ * the host resolves to public addresses only
+ */
+function checkWebhookHost(value) {
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, "");
+  return new Promise((resolve) => {
+    checkedLookup(host, {}, (error) => {
+      if (!error) return resolve(null);
+      resolve(
+        error.code === "EBLOCKEDADDRESS"
+          ? "Webhook URLs can't point at local or private addresses"
+          : "Couldn't find that webhook's host, check the URL"
+      );
+    });
+  });
+}
+
+/**
+ * Read a user's webhook settings
+ * @param {Object} user - User record
+ * @returns {Object|null} { url, format, secret }, or null if none is set up
+ */
+function getWebhook(user) {
+  if (!user.fields.Webhook) return null;
+
+  try {
+    const { url, format, secret } = JSON.parse(user.fields.Webhook);
+    if (!url || !secret || !Object.hasOwn(WEBHOOK_FORMATS, format)) return null;
+    return { url, format, secret };
+  } catch (error) {
+    console.warn(`[WEBHOOK] Invalid webhook JSON for user ${user.id}, ignoring it`);
+    return null;
+  }
+}
+
+/**
+ * Check webhook settings from the settings form
+ * @param {Object} settings - { url, format }
+ * @returns {Promise<string|null>} Message for the settings page, or null if valid
+ */
+async function validateWebhook({ url, format }) {
+  const value = String(url || "").trim();
+  if (!isAllowedWebhookUrl(value)) return "Enter a valid https:// webhook URL";
+  if (!Object.hasOwn(WEBHOOK_FORMATS, format)) return "Choose a webhook format";
+  return checkWebhookHost(value);
+}
+
+/**
+ * Save a user's webhook, keeping the existing signing secret if there is one
+ * @param {Object} user - User record
+ * @param {Object} settings - { url, format }, checked with validateWebhook
+ * @returns {Promise<Object>} The saved webhook
+ */
+async function saveWebhook(user, { url, format }) {
+  const webhook = {
+    url: String(url).trim(),
+    format,
+    secret: getWebhook(user)?.secret || generateToken(32),
+  };
+  await updateUser(user.id, { Webhook: JSON.stringify(webhook) });
+  console.log(`[WEBHOOK] Saved ${format} webhook for user ${user.id}`);
+  return webhook;
+}
+
+/**
+ * Stop sending webhooks to a user
+ * @param {string} userRecordId - Users record ID
+ */
+async function removeWebhook(userRecordId) {
+  await updateUser(userRecordId, { Webhook: null });
+  console.log(`[WEBHOOK] Removed webhook for user ${userRecordId}`);
+}
+
+// Slack mrkdwn treats these three as control characters
+function escapeSlack(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function movieUrl(movie) {
+  return `${APP_BASE_URL}/movie/${movie.tmdbId}`;
+}
+
+function posterUrl(movie, size = "w342") {
+  return movie.posterPath ? `https://image.tmdb.org/t/p/${size}${movie.posterPath}` : null;
+}
+
+/**
+ * Request body for a notification in the webhook's format
+ * @param {string} format - A key of WEBHOOK_FORMATS
+ * @param {Object} notification - { event, movies: [{ tmdbId, title, posterPath, followType, date, previousDate? }] }
+ * @returns {Object} JSON-serializable payload
+ */
+function buildWebhookPayload(format, { event, movies }) {
+  const { heading, line } = WEBHOOK_EVENTS[event];
+  const title = heading(movies.length);
+  const shown = movies.slice(0, MAX_MOVIES_PER_MESSAGE);
+  const hiddenCount = movies.length - shown.length;
+  const more = hiddenCount > 0 ? `…and ${hiddenCount} more` : null;
+
+  if (format === "discord") {
+    return {
+      username: SENDER_NAME,
+      avatar_url: EMAIL_LOGO_URL,
+      content: [title, more].filter(Boolean).join("\n"),
+      embeds: shown.map((movie) => ({
+        title: movie.title,
+        url: movieUrl(movie),
+        description: line(movie),
+        color: 0xf3d96b,
+        ...(posterUrl(movie) && { thumbnail: { url: posterUrl(movie) } }),
+      })),
+      allowed_mentions: { parse: [] }, // Movie titles never ping anyone
+    };
+  }
+
+  if (format === "slack") {
+    const blocks = [{ type: "section", text: { type: "mrkdwn", text: `*${escapeSlack(title)}*` } }];
+    shown.forEach((movie) => {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*<${movieUrl(movie)}|${escapeSlack(movie.title)}>*\n${escapeSlack(line(movie))}`,
+        },
+        ...(posterUrl(movie) && {
+          accessory: { type: "image", image_url: posterUrl(movie, "w185"), alt_text: movie.title },
+        }),
+      });
+    });
+    if (more) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: more }] });
+
+    return {
+      text: `${title}: ${movies.map((movie) => movie.title).join(", ")}`, // Notification fallback
+      blocks,
+    };
+  }
+
+  return {
+    event,
+    text: title,
+    sentAt: new Date().toISOString(),
+    movies: movies.map((movie) => ({
+      tmdbId: Number(movie.tmdbId),
+      title: movie.title,
+      followType: movie.followType,
+      date: movie.date || null,
+      previousDate: movie.previousDate || null,
+      url: movieUrl(movie),
+      posterUrl: posterUrl(movie, "w500"),
+    })),
+  };
+}
+
+/**
+ * Signature headers for a request body
+ * @param {string} secret - The webhook's signing secret
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix seconds
+ */
+function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return {
+    "X-Webhook-Timestamp": String(timestamp),
+    "X-Webhook-Signature": `sha256=${signature}`,
+  };
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = Number(error.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+
+  const backoff = BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * BASE_DELAY_MS;
+  return Math.round(Math.min(backoff + jitter, MAX_DELAY_MS));
+}
+
+// "HTTP 404" or the network error code, for logs
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+/**
+ * POST a notification to a webhook, retrying rate limits, server errors and
+ * dropped connections with exponential backoff
+ * Each attempt is signed afresh; X-Webhook-Id stays the same so receivers
+ * can drop duplicates
+ * @param {Object} webhook - From getWebhook
+ * @param {Object} notification - See buildWebhookPayload
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries before giving up
+ * @returns {Promise<{status: number, attempts: number}>}
+ * @throws {Error} The last error once retries run out (or straight away for other 4xx)
+ */
+async function deliverWebhook(webhook, notification, { maxRetries = MAX_RETRIES } = {}) {
+  if (!isAllowedWebhookUrl(webhook.url)) {
+    throw new Error("Webhook delivery failed: the URL is no longer allowed");
+  }
+
+  const body = JSON.stringify(buildWebhookPayload(webhook.format, notification));
+  const deliveryId = generateToken(16);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": `${SENDER_NAME} Webhooks`,
+          "X-Webhook-Id": deliveryId,
+          "X-Webhook-Event": notification.event,
+          ...signatureHeaders(webhook.secret, body),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false, // The agents' lookup has to see the webhook's own host
+      });
+      return { status: response.status, attempts: attempt + 1 };
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        error.message = `Webhook delivery failed after ${attempt + 1} attempt(s): ${describeError(error)}`;
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      console.warn(
+        `[WEBHOOK] Delivery failed (${describeError(error)}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Send one webhook message per user for a notification job
+ * @param {string} event - A key of WEBHOOK_EVENTS
+ * @param {Array<Object>} items - { userId, tmdbId, title, posterPath, followType, date, previousDate? }
+ * @param {Object} recipients - From loadRecipients; users without a webhook are skipped
+ * @param {string} logTag - Log prefix of the calling job, e.g. "RELEASE-CHECK"
+ * @returns {Promise<{sent: number, failed: number}>} Messages delivered and given up on
+ */
+async function sendWebhookNotifications(event, items, recipients, logTag) {
+  const moviesByUser = {};
+  items.forEach(({ userId, ...movie }) => {
+    if (!recipients[userId] || !getWebhook(recipients[userId].user)) return;
+    if (!moviesByUser[userId]) moviesByUser[userId] = [];
+    moviesByUser[userId].push(movie);
+  });
+
+  const summary = { sent: 0, failed: 0 };
+  await Promise.allSettled(
+    Object.entries(moviesByUser).map(async ([userId, movies]) => {
+      try {
+        await deliverWebhook(getWebhook(recipients[userId].user), { event, movies });
+        console.log(`[${logTag}] Webhook sent to user ${userId} for ${movies.length} movies`);
+        summary.sent++;
+      } catch (err) {
+        console.error(`[${logTag}] Webhook to user ${userId} failed:`, err.message);
+        summary.failed++;
+      }
+    })
+  );
+
+  return summary;
+}
+
+/**
+ * Send a sample release alert, for the settings page "Send Test" button
+ * Retries once, so the page doesn't hang on a struggling endpoint
+ * @param {Object} webhook - From getWebhook
+ */
+async function sendTestWebhook(webhook) {
+  return deliverWebhook(webhook, { event: "test", movies: [TEST_MOVIE] }, { maxRetries: 1 });
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  getWebhook,
+  validateWebhook,
+  saveWebhook,
+  removeWebhook,
+  buildWebhookPayload,
+  signatureHeaders,
+  sendWebhookNotifications,
+  sendTestWebhook,
+};
@@ -0,0 +1,257 @@
+// services/weekly-digest.js
+// Sunday summary of the week ahead: each user's followed movies releasing in
+// the next 7 days, grouped by day and by theatrical/streaming, plus the dates
+// announced or moved over the past week, for users who keep the weeklySummary
+// preference on. Users on the weekly digest get their queued notifications
+// (see notification-digest.js) in the same email, so Sunday brings them one
+// email instead of two.
+const { getFollowsForWeeklyDigest, updateUser } = require("./airtable");
+const {
+  loadRecipients,
+  wantsNotification,
+} = require("./notification-preferences");
+const {
+  getPendingDigest,
+  itemCategory,
+  filterByPreferences,
+  removeDigestItems,
+} = require("./notification-digest");
+const sendEmail = require("./send-email");
+const { generateWeeklyDigestEmailHTML } = require("./email-templates");
+const { unsubscribeHeaders } = require("./unsubscribe");
+const { addDaysToDateString } = require("../utils/date-helpers");
+
+const DAYS_AHEAD = 7; // Releases from tomorrow through this many days out
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Less than a week, so a cron that fires a little early still sends but a
+// second run the same weekend doesn't send again
+const MIN_INTERVAL_MS = 6 * DAY_MS;
+
+// "2025-07-04" -> "July 4, 2025"
+function formatLongDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// "2025-07-04" -> "Friday, July 4"
+function formatDayLabel(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// The date a follow record is about: streaming follows track the streaming date
+function followDate(fields, followType) {
+  const date = followType === "streaming" ? fields.StreamingReleaseDate : fields.ReleaseDate;
+  return date ? date.split("T")[0] : null;
+}
+
+function previousFollowDate(fields, followType) {
+  const date =
+    followType === "streaming" ? fields.PreviousStreamingReleaseDate : fields.PreviousReleaseDate;
+  return date ? date.split("T")[0] : null;
+}
+
+/**
+ * Sort one follow record into the user's week: a release coming up, a date
+ * announced or moved this week, or nothing the user asked to hear about
+ * @returns {{section: "upcoming"|"newDates", item: Object}|null} Digest-style item
+ */
+function classifyFollow(record, preferences, range) {
+  const { fields } = record;
+  const followType = fields.FollowType === "streaming" ? "streaming" : "theatrical";
+  const date = followDate(fields, followType);
+  const movie = {
+    followType,
+    title: fields.Title,
+    posterPath: fields.PosterPath,
+    tmdbId: fields.TMDB_ID,
+  };
+
+  if (date && date >= range.from && date <= range.to) {
+    if (!wantsNotification(preferences, followType)) return null;
+    return { section: "upcoming", item: { ...movie, kind: "release", day: date, date: formatLongDate(date) } };
+  }
+
+  if (!date || date < range.today || !wantsNotification(preferences, "newDates")) return null;
+
+  const previousDate = previousFollowDate(fields, followType);
+  if (previousDate && fields.DateChangedAt >= range.since) {
+    return {
+      section: "newDates",
+      item: { ...movie, kind: "dateChange", date: formatLongDate(date), previousDate: formatLongDate(previousDate) },
+    };
+  }
+  if (fields.DateAnnouncedAt >= range.since) {
+    return { section: "newDates", item: { ...movie, kind: "date", date: formatLongDate(date) } };
+  }
+  return null;
+}
+
+/**
+ * Group a user's upcoming releases by day, theatrical before streaming
+ * @returns {Array<{date: string, label: string, theatrical: Array, streaming: Array}>}
+ */
+function groupByDay(items) {
+  const days = [...new Set(items.map((item) => item.day))].sort();
+  return days.map((day) => {
+    const onDay = items.filter((item) => item.day === day);
+    return {
+      date: day,
+      label: formatDayLabel(day),
+      theatrical: onDay.filter((item) => item.followType === "theatrical"),
+      streaming: onDay.filter((item) => item.followType === "streaming"),
+    };
+  });
+}
+
+function buildSubject(releaseCount, newDateCount) {
+  if (releaseCount > 0) {
+    return `📆 Your week ahead: ${releaseCount} ${releaseCount === 1 ? "release" : "releases"} coming up`;
+  }
+  return `📆 Your week ahead: ${newDateCount} new ${newDateCount === 1 ? "release date" : "release dates"}`;
+}
+
+/**
+ * Build the weekly digest email for every user with something coming up
+ * @param {Object} options - { now: Date }
+ * @returns {Promise<{usersChecked: number, notDue: number, emails: Array<Object>}>}
+ * Emails: { user, to, subject, htmlContent, headers, releases, newDates, queued }
+ */
+async function buildWeeklyDigests({ now = new Date() } = {}) {
+  const today = now.toISOString().split("T")[0];
+  const range = {
+    today,
+    from: addDaysToDateString(today, 1),
+    to: addDaysToDateString(today, DAYS_AHEAD),
+    since: new Date(now - 7 * DAY_MS).toISOString(),
+  };
+
+  const follows = await getFollowsForWeeklyDigest({
+    from: range.from,
+    to: range.to,
+    since: range.since.split("T")[0],
+  });
+  console.log(`[WEEKLY-DIGEST] Found ${follows.length} follows releasing ${range.from} to ${range.to} or dated since ${range.since}`);
+
+  const userIds = [...new Set(follows.flatMap((record) => record.fields.User || []))];
+  const recipients = await loadRecipients(userIds, "WEEKLY-DIGEST");
+
+  const weekByUser = {};
+  follows.forEach((record) => {
+    const userId = record.fields.User?.[0];
+    const recipient = recipients[userId];
+    if (!recipient || !wantsNotification(recipient.preferences, "weeklySummary")) return;
+
+    const entry = classifyFollow(record, recipient.preferences, range);
+    if (!entry) return;
+
+    if (!weekByUser[userId]) weekByUser[userId] = { upcoming: [], newDates: [] };
+    weekByUser[userId][entry.section].push(entry.item);
+  });
+
+  const result = { usersChecked: Object.keys(recipients).length, notDue: 0, emails: [] };
+
+  Object.entries(weekByUser).forEach(([userId, week]) => {
+    const { user, email, preferences } = recipients[userId];
+
+    const lastSent = new Date(user.fields.WeeklyDigestSentAt);
+    if (!isNaN(lastSent.getTime()) && now - lastSent < MIN_INTERVAL_MS) {
+      result.notDue++;
+      return;
+    }
+
+    // Weekly digest users: fold in what's queued, minus the date news this
+    // email already covers. All of it counts as handled once this is sent.
+    let queued = [];
+    let handledDigestItems = [];
+    if (preferences.digest === "weekly") {
+      const covered = new Set(week.newDates.map((item) => `${item.tmdbId}:${item.followType}`));
+      handledDigestItems = getPendingDigest(user);
+      queued = filterByPreferences(handledDigestItems, preferences).filter(
+        (item) => item.kind === "release" || !covered.has(`${item.tmdbId}:${item.followType}`)
+      );
+    }
+
+    const days = groupByDay(week.upcoming);
+
+    result.emails.push({
+      user,
+      to: email,
+      subject: buildSubject(week.upcoming.length, week.newDates.length),
+      htmlContent: generateWeeklyDigestEmailHTML({ days, newDates: week.newDates, queued }),
+      // Unsubscribing turns off this summary and the kinds of queued digest
+      // items it carries, not the release emails for the week it lists
+      headers: unsubscribeHeaders(userId, ["weeklySummary", ...queued.map(itemCategory)]),
+      releases: week.upcoming.length,
+      newDates: week.newDates.length,
+      queued: queued.length,
+      clearsPendingDigest: preferences.digest === "weekly",
+      handledDigestItems,
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Send the weekly digest to every user with something coming up
+ * @param {Object} options - { now: Date, dryRun: boolean }
+ * @returns {Promise<Object>} Summary of sent, not due and failed emails; with
+ * dryRun nothing is sent or saved and the summary lists the would-be emails
+ */
+async function sendWeeklyDigests({ now = new Date(), dryRun = false } = {}) {
+  const { usersChecked, notDue, emails } = await buildWeeklyDigests({ now });
+  const summary = { usersChecked, sent: 0, notDue, failed: 0, digests: [] };
+
+  if (dryRun) {
+    summary.digests = emails.map(({ user, clearsPendingDigest, handledDigestItems, ...email }) => email);
+    return summary;
+  }
+
+  await Promise.allSettled(
+    emails.map(async (email) => {
+      try {
+        await sendEmail({
+          to: email.to,
+          subject: email.subject,
+          htmlContent: email.htmlContent,
+          headers: email.headers,
+        });
+        console.log(`[WEEKLY-DIGEST] Sent weekly digest to ${email.to}: ${email.releases} releases, ${email.newDates} new dates, ${email.queued} queued`);
+        summary.sent++;
+        summary.digests.push({ email: email.to, releases: email.releases, newDates: email.newDates, queued: email.queued });
+      } catch (err) {
+        console.error(`[WEEKLY-DIGEST] Failed to send weekly digest to ${email.to}:`, err.message);
+        summary.failed++;
+        return;
+      }
+
+      try {
+        const fields = { WeeklyDigestSentAt: now.toISOString() };
+        if (email.clearsPendingDigest) {
+          fields.LastDigestSentAt = now.toISOString();
+          await removeDigestItems(email.user.id, email.handledDigestItems, fields);
+        } else {
+          await updateUser(email.user.id, fields);
+        }
+      } catch (err) {
+        console.error(`[WEEKLY-DIGEST] Failed to record weekly digest for ${email.to}:`, err.message);
+      }
+    })
+  );
+
+  return summary;
+}
+
+module.exports = {
+  buildWeeklyDigests,
+  sendWeeklyDigests,
+};
@@ -0,0 +1,150 @@
+// utils/airtable-formula.js
+
+/**
+ * Airtable formula builder
+ * Builds filterByFormula strings with every value escaped, so user input
+ * (emails, IDs) can never change the structure of a formula.
+ *
+ * Example:
+ *   and(eq("UserID", userId), eq("TMDB_ID", 550), or(eq("FollowType", "theatrical"), blank("ReleaseDate")))
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reference a field by name, e.g. {ReleaseDate}
+ * @param {string} name - Field name
+ * @returns {string} Field reference
+ */
+function field(name) {
+  if (typeof name !== "string" || !name || /[{}]/.test(name)) {
+    throw new Error(`Invalid Airtable field name: ${name}`);
+  }
+  return `{${name}}`;
+}
+
+/**
+ * Convert a JavaScript value into a formula literal
+ * Strings are double-quoted with backslashes, quotes and line breaks escaped
+ * @param {string|number|boolean|null} input - Value to embed
+ * @returns {string} Formula literal
+ */
+function value(input) {
+  if (input === null || input === undefined) return "BLANK()";
+  if (typeof input === "boolean") return input ? "TRUE()" : "FALSE()";
+  if (typeof input === "number") {
+    if (!Number.isFinite(input)) {
+      throw new Error(`Invalid number in Airtable formula: ${input}`);
+    }
+    return String(input);
+  }
+
+  const escaped = String(input)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n");
+  return `"${escaped}"`;
+}
+
+/**
+ * Field equals value
+ * @param {string} name - Field name
+ * @param {*} input - Value to compare with
+ * @param {Object} options - { caseInsensitive: compare LOWER() of both sides }
+ * @returns {string} Formula
+ */
+function eq(name, input, options = {}) {
+  if (options.caseInsensitive) {
+    return `LOWER(${field(name)}) = LOWER(${value(input)})`;
+  }
+  return `${field(name)} = ${value(input)}`;
+}
+
+/**
+ * All conditions must match
+ * @param {...string} conditions - Formulas built with this module
+ * @returns {string} Formula
+ */
+function and(...conditions) {
+  return `AND(${conditions.join(", ")})`;
+}
+
+/**
+ * Any condition may match
+ * @param {...string} conditions - Formulas built with this module
+ * @returns {string} Formula
+ */
+function or(...conditions) {
+  return `OR(${conditions.join(", ")})`;
+}
+
+/**
+ * Negate a condition
+ * @param {string} condition - Formula built with this module
+ * @returns {string} Formula
+ */
+function not(condition) {
+  return `NOT(${condition})`;
+}
+
+/**
+ * Date field falls on the given day
+ * @param {string} name - Date field name
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @returns {string} Formula
+ */
+function isSameDay(name, dateStr) {
+  if (!DATE_PATTERN.test(dateStr)) {
+    throw new Error(`Invalid date for Airtable formula: ${dateStr}`);
+  }
+  return `IS_SAME(${field(name)}, ${value(dateStr)}, 'day')`;
+}
+
+/**
+ * Date field is set and falls on or after the given day
+ * @param {string} name - Date field name
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @returns {string} Formula
+ */
+function isOnOrAfterDay(name, dateStr) {
+  if (!DATE_PATTERN.test(dateStr)) {
+    throw new Error(`Invalid date for Airtable formula: ${dateStr}`);
+  }
+  return `AND(${field(name)}, NOT(IS_BEFORE(${field(name)}, ${value(dateStr)})))`;
+}
+
+/**
+ * Date field is set and falls on or before the given day
+ * @param {string} name - Date field name
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @returns {string} Formula
+ */
+function isOnOrBeforeDay(name, dateStr) {
+  if (!DATE_PATTERN.test(dateStr)) {
+    throw new Error(`Invalid date for Airtable formula: ${dateStr}`);
+  }
+  return `AND(${field(name)}, NOT(IS_AFTER(${field(name)}, ${value(dateStr)})))`;
+}
+
+/**
+ * Field is empty
+ * @param {string} name - Field name
+ * @returns {string} Formula
+ */
+function blank(name) {
+  return `${field(name)} = BLANK()`;
+}
+
+module.exports = {
+  field,
+  value,
+  eq,
+  and,
+  or,
+  not,
+  isSameDay,
+  isOnOrAfterDay,
+  isOnOrBeforeDay,
+  blank,
+};
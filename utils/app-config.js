@@ -0,0 +1,15 @@
+// utils/app-config.js
+// Where the app is publicly reachable, for links that leave the browser
+// (emails, unsubscribe links, password resets)
+
+const APP_BASE_URL = (
+  process.env.APP_BASE_URL || "https://moviereleasetrackerv2.onrender.com"
+).replace(/\/+$/, "");
+
+// Logo shown in email footers, served from public/images unless overridden
+const EMAIL_LOGO_URL = process.env.EMAIL_LOGO_URL || `${APP_BASE_URL}/images/logo.png`;
+
+module.exports = {
+  APP_BASE_URL,
+  EMAIL_LOGO_URL,
+};
@@ -1,5 +1,8 @@
 // utils/date-helpers.js
 
+// Zone for users who haven't picked one (and for shared, cached pages)
+const DEFAULT_TIME_ZONE = 'UTC';
+
 /**
  * Convert date to UTC midnight for consistent comparisons
  */
@@ -9,10 +12,68 @@ function toUtcMidnight(date) {
   );
 }
 
+/**
+ * Check an IANA time zone name, e.g. one reported by the browser
+ * @param {string} timeZone - Zone name such as "America/New_York"
+ * @returns {string|null} Canonical zone name, or null if unknown
+ */
+function normalizeTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Time zones users can pick from, UTC first
+ * @returns {Array<string>} IANA zone names
+ */
+function listTimeZones() {
+  return [DEFAULT_TIME_ZONE, ...Intl.supportedValuesOf('timeZone').filter((zone) => zone !== DEFAULT_TIME_ZONE)];
+}
+
+/**
+ * The calendar date it is in a time zone
+ * @param {string} timeZone - IANA zone name (unknown zones fall back to UTC)
+ * @param {Date} now - Moment to convert (defaults to now)
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+function getTodayInTimeZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: normalizeTimeZone(timeZone) || DEFAULT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(now);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Every date it is somewhere in the world right now (UTC-12 to UTC+14),
+ * earliest first: two dates, or three between 10:00 and 12:00 UTC
+ * @param {Date} now - Moment to check (defaults to now)
+ * @returns {Array<string>} Days in YYYY-MM-DD format
+ */
+function getCurrentLocalDates(now = new Date()) {
+  const latest = getTodayInTimeZone('Pacific/Kiritimati', now);
+  const dates = [getTodayInTimeZone('Etc/GMT+12', now)];
+  while (dates[dates.length - 1] < latest) {
+    dates.push(addDaysToDateString(dates[dates.length - 1], 1));
+  }
+  return dates;
+}
+
+// Days from today -> label, for relative display dates
+const RELATIVE_DAY_LABELS = { '-1': 'Yesterday', 0: 'Today', 1: 'Tomorrow' };
+
 /**
  * Format date for display in a consistent, user-friendly format
  * @param {Date|string} date - Date to format
- * @param {Object} options - Formatting options
+ * @param {Object} options - Formatting options; with relative, yesterday, today
+ * and tomorrow (in options.timeZone) are shown as words
  * @returns {string} Formatted date string
  */
 function formatDisplayDate(date, options = {}) {
@@ -23,7 +84,13 @@ function formatDisplayDate(date, options = {}) {
     const dateObj = typeof date === 'string' ? new Date(date + 'T00:00:00') : date;
     if (isNaN(dateObj.getTime())) return '';
     
-    const { includeYear = true, short = false } = options;
+    const { includeYear = true, short = false, relative = false, timeZone = DEFAULT_TIME_ZONE } = options;
+
+    if (relative) {
+      const day = typeof date === 'string' ? date.split('T')[0] : dateObj.toISOString().split('T')[0];
+      const label = RELATIVE_DAY_LABELS[daysBetweenDateStrings(getTodayInTimeZone(timeZone), day)];
+      if (label) return label;
+    }
     
     if (short) {
       return dateObj.toLocaleDateString('en-US', {
@@ -51,8 +118,11 @@ function formatDisplayDate(date, options = {}) {
  * @returns {Object} Display date information
  */
 function getMovieDisplayDate(movie, options = {}) {
-  const { context = 'general' } = options;
-  const now = toUtcMidnight(new Date());
+  const { context = 'general', timeZone = null } = options;
+  // "Today" in the viewer's zone. Pages shared between users (and cached)
+  // pass no zone and get UTC dates without relative labels
+  const now = new Date(`${getTodayInTimeZone(timeZone || DEFAULT_TIME_ZONE)}T00:00:00Z`);
+  const dateOptions = timeZone ? { relative: true, timeZone } : {};
   
   // Parse dates consistently, avoiding timezone issues
   const theatricalDate = movie.release_date ? toUtcMidnight(new Date(movie.release_date + 'T00:00:00')) : null;
@@ -69,12 +139,12 @@ function getMovieDisplayDate(movie, options = {}) {
     if (streamingDate) {
       primaryDate = streamingDate;
       dateType = 'streaming';
-      displayText = `Available ${formatDisplayDate(streamingDate)}`;
+      displayText = `Available ${formatDisplayDate(streamingDate, dateOptions)}`;
       statusClass = 'available';
     } else if (theatricalDate) {
       primaryDate = theatricalDate;
       dateType = 'theatrical';
-      displayText = `Released ${formatDisplayDate(theatricalDate)}`;
+      displayText = `Released ${formatDisplayDate(theatricalDate, dateOptions)}`;
       statusClass = 'released';
     } else {
       displayText = 'Available Now';
@@ -85,22 +155,22 @@ function getMovieDisplayDate(movie, options = {}) {
     if (streamingDate && streamingDate > now) {
       primaryDate = streamingDate;
       dateType = 'streaming';
-      displayText = formatDisplayDate(streamingDate);
+      displayText = formatDisplayDate(streamingDate, dateOptions);
       statusClass = 'streaming-upcoming';
     } else if (theatricalDate && theatricalDate > now) {
       primaryDate = theatricalDate;
       dateType = 'theatrical';
-      displayText = `${formatDisplayDate(theatricalDate)} (Theatrical)`;
+      displayText = `${formatDisplayDate(theatricalDate, dateOptions)} (Theatrical)`;
       statusClass = 'theatrical-upcoming';
     } else if (streamingDate) {
       primaryDate = streamingDate;
       dateType = 'streaming';
-      displayText = formatDisplayDate(streamingDate);
+      displayText = formatDisplayDate(streamingDate, dateOptions);
       statusClass = 'streaming-past';
     } else if (theatricalDate) {
       primaryDate = theatricalDate;
       dateType = 'theatrical';
-      displayText = `${formatDisplayDate(theatricalDate)} (Theatrical)`;
+      displayText = `${formatDisplayDate(theatricalDate, dateOptions)} (Theatrical)`;
       statusClass = 'theatrical-past';
     } else {
       displayText = 'Coming Soon';
@@ -111,12 +181,12 @@ function getMovieDisplayDate(movie, options = {}) {
     if (streamingDate) {
       primaryDate = streamingDate;
       dateType = 'streaming';
-      displayText = formatDisplayDate(streamingDate);
+      displayText = formatDisplayDate(streamingDate, dateOptions);
       statusClass = streamingDate > now ? 'streaming-upcoming' : 'streaming-available';
     } else if (theatricalDate) {
       primaryDate = theatricalDate;
       dateType = 'theatrical';
-      displayText = formatDisplayDate(theatricalDate);
+      displayText = formatDisplayDate(theatricalDate, dateOptions);
       statusClass = theatricalDate > now ? 'theatrical-upcoming' : 'theatrical-past';
     } else {
       displayText = 'TBA';
@@ -127,12 +197,12 @@ function getMovieDisplayDate(movie, options = {}) {
     if (streamingDate) {
       primaryDate = streamingDate;
       dateType = 'streaming';
-      displayText = formatDisplayDate(streamingDate);
+      displayText = formatDisplayDate(streamingDate, dateOptions);
       statusClass = 'streaming';
     } else if (theatricalDate) {
       primaryDate = theatricalDate;
       dateType = 'theatrical';  
-      displayText = `${formatDisplayDate(movie.release_date)} (Theatrical)`;
+      displayText = `${formatDisplayDate(movie.release_date, dateOptions)} (Theatrical)`;
       statusClass = 'theatrical';
     } else {
       displayText = 'TBA';
@@ -147,8 +217,8 @@ function getMovieDisplayDate(movie, options = {}) {
     statusClass,
     theatricalDate,
     streamingDate,
-    theatricalFormatted: theatricalDate ? formatDisplayDate(movie.release_date) : null,
-    streamingFormatted: streamingDate ? formatDisplayDate(movie.streamingDateRaw) : null
+    theatricalFormatted: theatricalDate ? formatDisplayDate(movie.release_date, dateOptions) : null,
+    streamingFormatted: streamingDate ? formatDisplayDate(movie.streamingDateRaw, dateOptions) : null
   };
 }
 
@@ -213,11 +283,42 @@ function getFourWeeksFromNow(fromDate = new Date()) {
   return date;
 }
 
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Day in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting day in YYYY-MM-DD format
+ */
+function addDaysToDateString(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date string to another
+ * @param {string} fromStr - Start day in YYYY-MM-DD format
+ * @param {string} toStr - End day in YYYY-MM-DD format
+ * @returns {number} Days (negative when toStr is earlier)
+ */
+function daysBetweenDateStrings(fromStr, toStr) {
+  const from = new Date(`${fromStr}T00:00:00Z`);
+  const to = new Date(`${toStr}T00:00:00Z`);
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
 module.exports = {
+  DEFAULT_TIME_ZONE,
   toUtcMidnight,
+  normalizeTimeZone,
+  listTimeZones,
+  getTodayInTimeZone,
+  getCurrentLocalDates,
   formatDisplayDate,
   getMovieDisplayDate,
   canFollowMovie,
   getSixMonthsFromNow,
-  getFourWeeksFromNow
+  getFourWeeksFromNow,
+  addDaysToDateString,
+  daysBetweenDateStrings
 };
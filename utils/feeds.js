@@ -0,0 +1,101 @@
+// utils/feeds.js
+// Minimal RSS 2.0 and Atom (RFC 4287) writers for movie list feeds
+
+const GENERATOR = "Movie Release Tracker";
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Newest entry date, so the document only changes when an entry does
+function latestUpdate(items) {
+  const times = items.map((item) => item.updated.getTime());
+  return new Date(times.length > 0 ? Math.max(...times) : 0);
+}
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.description - One-line feed description
+ * @param {string} feed.link - The page the feed mirrors
+ * @param {string} feed.selfUrl - Where the feed itself is served
+ * @param {Array<Object>} feed.items - { id (permalink URL), title, link, summary, html, published, updated }
+ * @returns {string} RSS XML
+ */
+function buildRssFeed({ title, description, link, selfUrl, items }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "<channel>",
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(link)}</link>`,
+    `<description>${escapeXml(description)}</description>`,
+    `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    "<language>en-us</language>",
+    `<generator>${GENERATOR}</generator>`,
+    `<lastBuildDate>${latestUpdate(items).toUTCString()}</lastBuildDate>`,
+  ];
+
+  items.forEach((item) => {
+    lines.push(
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.link)}</link>`,
+      `<guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+      `<pubDate>${item.published.toUTCString()}</pubDate>`,
+      `<description>${escapeXml(item.html || item.summary)}</description>`,
+      "</item>"
+    );
+  });
+
+  lines.push("</channel>", "</rss>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build an Atom document from the same feed object as buildRssFeed
+ * @param {Object} feed - See buildRssFeed
+ * @returns {string} Atom XML
+ */
+function buildAtomFeed({ title, description, link, selfUrl, items }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(selfUrl)}</id>`,
+    `<title>${escapeXml(title)}</title>`,
+    `<subtitle>${escapeXml(description)}</subtitle>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `<updated>${latestUpdate(items).toISOString()}</updated>`,
+    `<author><name>${GENERATOR}</name></author>`,
+    `<generator>${GENERATOR}</generator>`,
+  ];
+
+  items.forEach((item) => {
+    lines.push(
+      "<entry>",
+      `<id>${escapeXml(item.id)}</id>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+      `<published>${item.published.toISOString()}</published>`,
+      `<updated>${item.updated.toISOString()}</updated>`,
+      `<summary>${escapeXml(item.summary)}</summary>`
+    );
+    if (item.html) lines.push(`<content type="html">${escapeXml(item.html)}</content>`);
+    lines.push("</entry>");
+  });
+
+  lines.push("</feed>");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  buildRssFeed,
+  buildAtomFeed,
+};
@@ -0,0 +1,59 @@
+// utils/html-to-text.js
+
+const ENTITIES = {
+  "&nbsp;": " ",
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&apos;": "'",
+  "&rarr;": "→",
+  "&copy;": "©",
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&[a-z]+;/gi, (entity) => ENTITIES[entity.toLowerCase()] ?? entity);
+}
+
+/**
+ * Convert an email's HTML into a readable plain-text alternative
+ * Headings and paragraphs become separate lines, links keep their URL,
+ * images and styling are dropped
+ * @param {string} html - Email HTML (as produced by services/email-templates.js)
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  const text = String(html || "")
+    // Content that never shows as text
+    .replace(/<head[\s\S]*?<\/head>/gi, "")
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    // Links: "View Details → (https://...)", or just the URL if the text is the URL
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, inner) => {
+      const label = inner.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim();
+      if (!label || label === href) return ` ${href} `;
+      return ` ${label} (${href}) `;
+    })
+    // Headings stand out on their own lines
+    .replace(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/gi, "\n\n$1\n\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|tr|table|h[4-6]|ul|ol)\b[^>]*>/gi, "\n")
+    .replace(/<td\b[^>]*>/gi, " ")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  htmlToText,
+};
@@ -0,0 +1,108 @@
+// utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for all-day release events
+
+const PRODUCT_ID = "-//Movie Release Tracker//Release Dates//EN";
+const UID_DOMAIN = "moviereleasetracker";
+
+// Text values escape backslashes, separators and line breaks
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74; // Continuations start with a space
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+// "2025-07-04" -> "20250704"
+function toDateValue(dateStr) {
+  return String(dateStr).split("T")[0].replace(/-/g, "");
+}
+
+// UTC timestamp, e.g. "20250704T120000Z"
+function toTimestampValue(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Unique event ID that stays the same across feed refreshes, so calendar
+ * apps move an event when its date changes instead of adding a second one
+ * @param {...(string|number)} parts - e.g. TMDB ID and follow type
+ */
+function eventUid(...parts) {
+  return `${parts.join("-")}@${UID_DOMAIN}`;
+}
+
+/**
+ * Build an iCalendar document of all-day events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} options.events - { uid, date (YYYY-MM-DD), summary, description?, url? }
+ * @param {string} [options.refreshInterval] - Suggested polling interval for feeds, e.g. "PT12H"
+ * @param {Date} [options.now] - Generation time, stamped on every event
+ * @returns {string} .ics file content
+ */
+function buildCalendar({ name, events, refreshInterval = null, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  if (refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  const stamp = toTimestampValue(now);
+  events.forEach((event) => {
+    const start = toDateValue(event.date);
+    const [year, month, day] = event.date.split("T")[0].split("-").map(Number);
+    const end = toDateValue(new Date(Date.UTC(year, month - 1, day + 1)).toISOString());
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "TRANSP:TRANSPARENT" // All-day markers, not busy time
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  eventUid,
+  buildCalendar,
+};
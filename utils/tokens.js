@@ -0,0 +1,78 @@
+// utils/tokens.js
+const crypto = require("crypto");
+
+const TOKEN_SECRET =
+  process.env.TOKEN_SECRET || process.env.SESSION_SECRET || "supersecretkey";
+
+/**
+ * Generate a random URL-safe token for emailed links
+ * @param {number} bytes - Random bytes of entropy
+ * @returns {string} Hex token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+/**
+ * Hash a token for storage, so a leaked table can't be used to reset passwords
+ * @param {string} token - Token as sent to the user
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", TOKEN_SECRET).update(data).digest("base64url");
+}
+
+/**
+ * Create a signed, expiring token carrying a small payload
+ * Used for links that must be verifiable without storing anything
+ * @param {string} purpose - What the token is for, e.g. "verify-email"
+ * @param {Object} payload - JSON-serializable data
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {string} Token in the form <base64url payload>.<signature>
+ */
+function createSignedToken(purpose, payload, ttlMs) {
+  const data = Buffer.from(
+    JSON.stringify({ ...payload, purpose, exp: Date.now() + ttlMs })
+  ).toString("base64url");
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a token from createSignedToken
+ * @param {string} token - Token from a link
+ * @param {string} purpose - Expected purpose; tokens for other purposes are rejected
+ * @returns {Object|null} Payload, or null if tampered with, expired or misused
+ */
+function verifySignedToken(token, purpose) {
+  const [data, signature] = String(token || "").split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString());
+    if (payload.purpose !== purpose) return null;
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  createSignedToken,
+  verifySignedToken,
+};